@@ -0,0 +1,169 @@
+/**
+ * Spatial density maps: a grayscale field over the spawn area where brighter means more dots.
+ * Every source is sampled once into a small grid of luminance values (0–1), stretched over the
+ * area below the top exclusion and read back with bilinear filtering.
+ *
+ * Sources the sim takes directly (no DOM needed, so they also work in the worker):
+ * - a preset name: `'vignette'` (dense at the edges), `'top-heavy'` (fading downwards) or
+ *   `'radial'` (dense in the middle)
+ * - a function `(u, v) => luminance` over the area, `u`/`v` running 0–1 left to right and top
+ *   to bottom
+ * - `ImageData`, or anything shaped like it (`{ width, height, data }` with RGBA bytes)
+ * - a grid from {@link sampleDensityMap}
+ * The browser adapters rasterise canvases and images into `ImageData` first
+ * ({@link imageSourceData}), and sample functions before posting them to a worker.
+ *
+ * @typedef {'vignette' | 'top-heavy' | 'radial'} DensityMapPreset
+ * @typedef {(u: number, v: number) => number} DensityMapFn
+ * @typedef {{ width: number; height: number; data: ArrayLike<number> }} ImageDataLike
+ * @typedef {{ cols: number; rows: number; values: Float32Array }} DensityGrid
+ * @typedef {DensityMapPreset | DensityMapFn | ImageDataLike | DensityGrid} DensityMapSource
+ */
+
+// Resolution functions and presets are sampled at; maps are smooth, so this is plenty.
+const FUNCTION_GRID = 128;
+// Canvases and images are drawn down to at most this many pixels on their longer side.
+const IMAGE_GRID = 256;
+
+function smoothstep(edge0, edge1, x) {
+  const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
+
+/** @type {Record<DensityMapPreset, DensityMapFn>} */
+export const DENSITY_MAP_PRESETS = {
+  vignette: (u, v) => smoothstep(0.25, 0.75, Math.hypot(u - 0.5, v - 0.5) / Math.SQRT1_2),
+  'top-heavy': (u, v) => Math.pow(1 - v, 1.6),
+  radial: (u, v) => 1 - smoothstep(0, 0.7, Math.hypot(u - 0.5, v - 0.5) / Math.SQRT1_2),
+};
+
+/**
+ * Samples any DOM-free source into a grid, or returns null for `null` and anything it can't
+ * read.
+ * @param {DensityMapSource | null} source
+ * @returns {DensityGrid | null}
+ */
+export function sampleDensityMap(source) {
+  if (source == null) return null;
+  if (typeof source === 'string') {
+    const preset = DENSITY_MAP_PRESETS[/** @type {DensityMapPreset} */ (source)];
+    return preset ? sampleFunction(preset) : null;
+  }
+  if (typeof source === 'function') return sampleFunction(source);
+  if (typeof source !== 'object') return null;
+  if ('values' in source && source.cols > 0 && source.rows > 0 && source.values.length === source.cols * source.rows) {
+    return { cols: source.cols, rows: source.rows, values: Float32Array.from(source.values, clampUnit) };
+  }
+  if ('data' in source && source.width > 0 && source.height > 0 && source.data.length === source.width * source.height * 4) {
+    return luminanceGrid(source);
+  }
+  return null;
+}
+
+/** @param {number} value */
+function clampUnit(value) {
+  return Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : 0;
+}
+
+/**
+ * @param {DensityMapFn} fn
+ * @returns {DensityGrid}
+ */
+function sampleFunction(fn) {
+  const cols = FUNCTION_GRID;
+  const rows = FUNCTION_GRID;
+  const values = new Float32Array(cols * rows);
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      values[row * cols + col] = clampUnit(fn((col + 0.5) / cols, (row + 0.5) / rows));
+    }
+  }
+  return { cols, rows, values };
+}
+
+/**
+ * Rec. 709 luminance of each pixel; transparent pixels count as black.
+ * @param {ImageDataLike} image
+ * @returns {DensityGrid}
+ */
+function luminanceGrid({ width, height, data }) {
+  const values = new Float32Array(width * height);
+  for (let i = 0; i < values.length; i++) {
+    const o = i * 4;
+    const lum = 0.2126 * data[o] + 0.7152 * data[o + 1] + 0.0722 * data[o + 2];
+    values[i] = (lum / 255) * (data[o + 3] / 255);
+  }
+  return { cols: width, rows: height, values };
+}
+
+/**
+ * The map at (`u`, `v`), both 0–1 over the spawn area, filtered between grid cells.
+ * @param {DensityGrid} grid
+ * @param {number} u
+ * @param {number} v
+ */
+export function densityAt({ cols, rows, values }, u, v) {
+  const fx = Math.max(0, Math.min(cols - 1, u * cols - 0.5));
+  const fy = Math.max(0, Math.min(rows - 1, v * rows - 0.5));
+  const x0 = Math.floor(fx);
+  const y0 = Math.floor(fy);
+  const x1 = Math.min(cols - 1, x0 + 1);
+  const y1 = Math.min(rows - 1, y0 + 1);
+  const tx = fx - x0;
+  const ty = fy - y0;
+  const top = values[y0 * cols + x0] * (1 - tx) + values[y0 * cols + x1] * tx;
+  const bottom = values[y1 * cols + x0] * (1 - tx) + values[y1 * cols + x1] * tx;
+  return top * (1 - ty) + bottom * ty;
+}
+
+/**
+ * Draws a canvas, image or bitmap down to at most {@link IMAGE_GRID} pixels and reads it
+ * back. Needs a DOM (or `OffscreenCanvas`); returns null if the source has no size yet, e.g.
+ * an image still loading.
+ * @param {CanvasImageSource} source
+ * @returns {ImageData | null}
+ */
+export function imageSourceData(source) {
+  const width = 'naturalWidth' in source ? source.naturalWidth : Number(source.width) || 0;
+  const height = 'naturalHeight' in source ? source.naturalHeight : Number(source.height) || 0;
+  if (!(width > 0 && height > 0)) return null;
+  const scale = Math.min(1, IMAGE_GRID / Math.max(width, height));
+  const w = Math.max(1, Math.round(width * scale));
+  const h = Math.max(1, Math.round(height * scale));
+  const canvas =
+    typeof OffscreenCanvas === 'function' ? new OffscreenCanvas(w, h) : Object.assign(document.createElement('canvas'), { width: w, height: h });
+  const ctx = /** @type {CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D | null} */ (
+    canvas.getContext('2d', { willReadFrequently: true })
+  );
+  if (!ctx) return null;
+  ctx.drawImage(source, 0, 0, w, h);
+  return ctx.getImageData(0, 0, w, h);
+}
+
+/**
+ * Whether `source` is a canvas, image or bitmap, which only the main thread can read.
+ * @param {unknown} source
+ * @returns {source is CanvasImageSource}
+ */
+function isImageSource(source) {
+  if (source == null || typeof source !== 'object') return false;
+  if ('naturalWidth' in source || 'getContext' in source) return true;
+  return typeof ImageBitmap === 'function' && source instanceof ImageBitmap;
+}
+
+/**
+ * What a field adapter hands the sim for `source`: canvases and images become ImageData,
+ * anything else passes through. An image still loading gives `undefined`, and `retry` is
+ * called once it has loaded.
+ * @param {DensityMapSource | CanvasImageSource | null} source
+ * @param {() => void} retry
+ * @returns {DensityMapSource | null | undefined}
+ */
+export function readDensitySource(source, retry) {
+  if (!isImageSource(source)) return source;
+  if ('complete' in source && !source.complete) {
+    source.addEventListener('load', retry, { once: true });
+    return undefined;
+  }
+  return imageSourceData(source);
+}
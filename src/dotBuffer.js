@@ -0,0 +1,196 @@
+/**
+ * Packed structure-of-arrays storage for dots, plus the integer-keyed spatial hash the
+ * simulation uses for neighbour queries. Neither allocates per frame.
+ */
+
+const FIELDS = /** @type {const} */ (['x', 'y', 'vx', 'vy', 'r', 'r0', 'a', 'ds', 'stick', 'ghx', 'ghy', 'gd']);
+
+export class DotBuffer {
+  count = 0;
+  capacity = 0;
+
+  /** @type {Float32Array} */
+  x = new Float32Array(0);
+  /** @type {Float32Array} */
+  y = new Float32Array(0);
+  /** @type {Float32Array} */
+  vx = new Float32Array(0);
+  /** @type {Float32Array} */
+  vy = new Float32Array(0);
+  // Drawn radius (after breathing etc.) and base radius from the size buckets.
+  /** @type {Float32Array} */
+  r = new Float32Array(0);
+  /** @type {Float32Array} */
+  r0 = new Float32Array(0);
+  // Opacity, 0..1.
+  /** @type {Float32Array} */
+  a = new Float32Array(0);
+  // Per-dot drift speed factor and stickiness.
+  /** @type {Float32Array} */
+  ds = new Float32Array(0);
+  /** @type {Float32Array} */
+  stick = new Float32Array(0);
+  // Grid home; only meaningful where `home[i]` is 1.
+  /** @type {Float32Array} */
+  ghx = new Float32Array(0);
+  /** @type {Float32Array} */
+  ghy = new Float32Array(0);
+  // Ms after the grid was assigned before the dot sets off for its home (staggered arrival).
+  /** @type {Float32Array} */
+  gd = new Float32Array(0);
+  /** @type {Uint8Array} */
+  home = new Uint8Array(0);
+
+  /** @param {number=} capacity */
+  constructor(capacity = 256) {
+    this.reserve(capacity);
+  }
+
+  /** @param {number} capacity */
+  reserve(capacity) {
+    if (capacity <= this.capacity) return;
+    const next = Math.max(capacity, this.capacity * 2, 16);
+    for (const key of FIELDS) {
+      const arr = new Float32Array(next);
+      arr.set(this[key].subarray(0, this.count));
+      this[key] = arr;
+    }
+    const home = new Uint8Array(next);
+    home.set(this.home.subarray(0, this.count));
+    this.home = home;
+    this.capacity = next;
+  }
+
+  clear() {
+    this.count = 0;
+  }
+
+  /**
+   * Appends a dot at rest with full opacity and no grid home.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} r0
+   * @returns {number} index of the new dot
+   */
+  push(x, y, r0) {
+    if (this.count >= this.capacity) this.reserve(this.count + 1);
+    const i = this.count++;
+    this.x[i] = x;
+    this.y[i] = y;
+    this.vx[i] = 0;
+    this.vy[i] = 0;
+    this.r[i] = r0;
+    this.r0[i] = r0;
+    this.a[i] = 1;
+    this.ds[i] = 1;
+    this.stick[i] = 0;
+    this.ghx[i] = 0;
+    this.ghy[i] = 0;
+    this.gd[i] = 0;
+    this.home[i] = 0;
+    return i;
+  }
+
+  /**
+   * Appends a copy of dot `i` from another buffer.
+   * @param {DotBuffer} other
+   * @param {number} i
+   * @returns {number} index of the copy
+   */
+  pushFrom(other, i) {
+    if (this.count >= this.capacity) this.reserve(this.count + 1);
+    const j = this.count++;
+    for (const key of FIELDS) this[key][j] = other[key][i];
+    this.home[j] = other.home[i];
+    return j;
+  }
+
+  /**
+   * Removes dot `i` by moving the last dot into its slot (order is not preserved).
+   * @param {number} i
+   */
+  swapRemove(i) {
+    const last = this.count - 1;
+    if (i !== last) {
+      for (const key of FIELDS) this[key][i] = this[key][last];
+      this.home[i] = this.home[last];
+    }
+    this.count = last;
+  }
+
+  /** @param {DotBuffer} other */
+  copyFrom(other) {
+    this.reserve(other.count);
+    for (const key of FIELDS) this[key].set(other[key].subarray(0, other.count));
+    this.home.set(other.home.subarray(0, other.count));
+    this.count = other.count;
+  }
+}
+
+/**
+ * Uniform grid over the field bounds. Buckets are singly linked lists threaded through
+ * `next`, so rebuilding is two typed-array passes and never allocates once sized.
+ */
+export class SpatialHash {
+  cellSize = 1;
+  cols = 1;
+  rows = 1;
+  /** @type {Int32Array} */
+  head = new Int32Array(1);
+  /** @type {Int32Array} */
+  next = new Int32Array(0);
+
+  /**
+   * @param {number} width
+   * @param {number} height
+   * @param {number} cellSize
+   * @param {number} capacity
+   */
+  configure(width, height, cellSize, capacity) {
+    this.cellSize = cellSize;
+    this.cols = Math.max(1, Math.ceil(width / cellSize));
+    this.rows = Math.max(1, Math.ceil(height / cellSize));
+    const cells = this.cols * this.rows;
+    if (this.head.length < cells) this.head = new Int32Array(cells);
+    if (this.next.length < capacity) this.next = new Int32Array(Math.max(capacity, this.next.length * 2));
+    this.clear();
+  }
+
+  clear() {
+    this.head.fill(-1, 0, this.cols * this.rows);
+  }
+
+  /** @param {number} x */
+  cellX(x) {
+    const cx = Math.floor(x / this.cellSize);
+    return cx < 0 ? 0 : cx >= this.cols ? this.cols - 1 : cx;
+  }
+
+  /** @param {number} y */
+  cellY(y) {
+    const cy = Math.floor(y / this.cellSize);
+    return cy < 0 ? 0 : cy >= this.rows ? this.rows - 1 : cy;
+  }
+
+  /**
+   * @param {number} i
+   * @param {number} x
+   * @param {number} y
+   */
+  insert(i, x, y) {
+    if (i >= this.next.length) {
+      const next = new Int32Array(Math.max(i + 1, this.next.length * 2));
+      next.set(this.next);
+      this.next = next;
+    }
+    const cell = this.cellY(y) * this.cols + this.cellX(x);
+    this.next[i] = this.head[cell];
+    this.head[cell] = i;
+  }
+
+  /** @param {DotBuffer} dots */
+  rebuild(dots) {
+    this.clear();
+    for (let i = 0; i < dots.count; i++) this.insert(i, dots.x[i], dots.y[i]);
+  }
+}
@@ -1,132 +1,119 @@
+import { DotFieldSim } from './dotFieldSim.js?v=2025-12-13-11';
+export { sizeBuckets, sizeWeights } from './dotFieldSim.js?v=2025-12-13-11';
+import { WorkerDotField } from './workerDotField.js?v=2025-12-13-16';
+import { trackGroup } from './elementTracker.js?v=2025-12-13-2';
+import { readDensitySource } from './densityMap.js?v=2025-12-13-2';
+
 /**
  * @typedef {'dark' | 'light'} Mode
- * @typedef {{ x: number; y: number; strength: number }} Anchor
- * @typedef {{ mode: Mode; reducedMotion: boolean }} Options
+ * @typedef {import('./dotFieldSim.js').Anchor} Anchor
+ * @typedef {import('./dotFieldSim.js').Rect} Rect
+ * @typedef {import('./regions.js').Region} Region
+ * @typedef {{ width: number; height: number; dpr: number }} Viewport
+ * @typedef {{ mode: Mode; reducedMotion: boolean; seed?: number; viewport?: Viewport; worker?: boolean }} Options
  * @typedef {{ bg: string; dot: string }} Palette
+ * @typedef {import('./dotFieldSim.js').SimSnapshot & { mode: Mode }} Snapshot
+ * @typedef {import('./dotFieldSim.js').ForceFn} ForceFn
+ * @typedef {import('./dotFieldSim.js').ForceOptions} ForceOptions
+ * @typedef {ForceFn | { module: string | URL }} ForceSource
+ *   The force itself, or a module whose default export is the force (and whose `prepare`
+ *   export, if any, is its prepare hook).
+ * @typedef {import('./dotFieldSim.js').TransitionParams} TransitionParams
+ * @typedef {import('./dotFieldSim.js').SpawnStrategy} SpawnStrategy
+ * @typedef {import('./dotFieldSim.js').DensityModel} DensityModel
+ * @typedef {import('./dotFieldSim.js').ContinuousDistribution} ContinuousDistribution
+ * @typedef {import('./dotFieldSim.js').SizeSpacing} SizeSpacing
+ * @typedef {import('./gridLayout.js').GridLayout} GridLayout
+ * @typedef {import('./gridLayout.js').GridAssignment} GridAssignment
+ * @typedef {import('./gridLayout.js').GridArrangement} GridArrangement
+ * @typedef {import('./dotFieldSim.js').GridStagger} GridStagger
+ * @typedef {import('./dotFieldSim.js').PointerMode} PointerMode
+ * @typedef {import('./dotFieldSim.js').PointerOptions} PointerOptions
+ * @typedef {import('./dotFieldSim.js').PointerState} PointerState
+ * @typedef {import('./dotFieldSim.js').HaloOptions} HaloOptions
+ * @typedef {import('./densityMap.js').DensityMapSource} DensityMapSource
+ * @typedef {import('./dotFieldSim.js').DensityMapOptions} DensityMapOptions
+ * @typedef {import('./elementTracker.js').ElementShape} ExclusionShape
+ * @typedef {{ padding?: number; shape?: ExclusionShape }} ExcludeOptions
+ * @typedef {{
+ *   spawned: CustomEvent<{ count: number; target: number }>;
+ *   dropstart: CustomEvent<{}>;
+ *   dropend: CustomEvent<{}>;
+ *   settled: CustomEvent<{}>;
+ *   gridreached: CustomEvent<{ count: number }>;
+ *   modechange: CustomEvent<{ mode: Mode }>;
+ *   paused: CustomEvent<{}>;
+ *   resumed: CustomEvent<{}>;
+ *   error: CustomEvent<{ message: string; method: string | null }>;
+ * }} DotFieldEventMap
+ *   `error` comes from {@link WorkerDotField} only (the worker failed, or a forwarded call threw).
  */
 
-function clamp(value, min, max) {
-  return Math.max(min, Math.min(max, value));
-}
-
-function lerp(a, b, t) {
-  return a + (b - a) * t;
-}
+/** Every event type a field dispatches; see {@link DotFieldEventMap} for the payloads. */
+export const FIELD_EVENTS = /** @type {const} */ ([
+  'spawned',
+  'dropstart',
+  'dropend',
+  'settled',
+  'gridreached',
+  'modechange',
+  'paused',
+  'resumed',
+]);
 
 function nowMs() {
   return performance.now();
 }
 
+// Dedicated workers have requestAnimationFrame in current browsers; older ones get a 60Hz timer.
+const requestFrame =
+  typeof requestAnimationFrame === 'function'
+    ? (cb) => requestAnimationFrame(cb)
+    : (cb) => setTimeout(() => cb(nowMs()), 16);
+const cancelFrame =
+  typeof cancelAnimationFrame === 'function' ? (id) => cancelAnimationFrame(id) : (id) => clearTimeout(id);
+
 /**
- * @typedef {{ x: number; y: number; vx: number; vy: number; r: number; r0: number; a: number; ds: number; stick: number; ghx?: number; ghy?: number }} Dot
+ * Picks the worker-backed field when the browser can start a module worker and transfer the
+ * canvas to an OffscreenCanvas, and the main-thread {@link DotField} otherwise (or when
+ * `worker: false`).
+ *
+ * Both have the same API, but only what can be posted reaches the worker: give `addForce()`
+ * a module (`{ module: url }`) rather than a function, and leave out the `prepare` option
+ * (export `prepare` from the module instead), so the same call works on either field.
+ * @param {HTMLCanvasElement} canvas
+ * @param {Options} options
+ * @returns {DotField | WorkerDotField}
  */
-
-function keyForCell(cx, cy) {
-  return `${cx},${cy}`;
-}
-
-function clampInt(value, min, max) {
-  return Math.round(clamp(value, min, max));
-}
-
-function smoothstep(t) {
-  return t * t * (3 - 2 * t);
-}
-
-function hash3i(x, y, s) {
-  let h = (x | 0) * 374761393 + (y | 0) * 668265263 + (s | 0) * 2147483647;
-  h = (h ^ (h >>> 13)) * 1274126177;
-  h ^= h >>> 16;
-  return (h >>> 0) / 4294967296;
-}
-
-function noise2(x, y, seed) {
-  const xi = Math.floor(x);
-  const yi = Math.floor(y);
-  const xf = x - xi;
-  const yf = y - yi;
-  const u = smoothstep(xf);
-  const v = smoothstep(yf);
-
-  const n00 = hash3i(xi, yi, seed);
-  const n10 = hash3i(xi + 1, yi, seed);
-  const n01 = hash3i(xi, yi + 1, seed);
-  const n11 = hash3i(xi + 1, yi + 1, seed);
-
-  const nx0 = lerp(n00, n10, u);
-  const nx1 = lerp(n01, n11, u);
-  return lerp(nx0, nx1, v);
-}
-
-function quantizeLabel(index) {
-  switch (index) {
-    case 0:
-      return 'small-linear';
-    case 1:
-      return 'small-curved';
-    case 2:
-      return 'bell';
-    case 3:
-      return 'flat';
-    case 4:
-      return 'u-shaped';
-    case 5:
-      return 'large-linear';
-    case 6:
-      return 'large-curved';
-    default:
-      return 'flat';
-  }
-}
-
-function distributionWeights(mode, n) {
-  const mid = (n - 1) / 2;
-  const sigma = Math.max(0.55, n / 5);
-
-  /** @type {number[]} */
-  const w = new Array(n).fill(1);
-  for (let i = 0; i < n; i++) {
-    const x = i - mid;
-    if (mode === 'flat') w[i] = 1;
-    else if (mode === 'bell') w[i] = Math.exp(-(x * x) / (2 * sigma * sigma));
-    else if (mode === 'small-linear') w[i] = n - i;
-    else if (mode === 'small-curved') w[i] = Math.pow(n - i, 2);
-    else if (mode === 'large-linear') w[i] = i + 1;
-    else if (mode === 'large-curved') w[i] = Math.pow(i + 1, 2);
-    else if (mode === 'u-shaped') w[i] = Math.pow(Math.abs(x) + 1, 2);
-    else w[i] = 1;
-  }
-  return w;
-}
-
-function quotasFromWeights(total, weights) {
-  const sum = weights.reduce((a, b) => a + b, 0);
-  const n = weights.length;
-
-  /** @type {number[]} */
-  const raw = weights.map((w) => (sum <= 0 ? total / n : (w / sum) * total));
-  /** @type {number[]} */
-  const q = raw.map((v) => Math.floor(v));
-  let remaining = total - q.reduce((a, b) => a + b, 0);
-
-  const order = raw
-    .map((v, i) => ({ i, frac: v - Math.floor(v) }))
-    .sort((a, b) => b.frac - a.frac)
-    .map((x) => x.i);
-
-  for (let k = 0; k < order.length && remaining > 0; k++) {
-    q[order[k]]++;
-    remaining--;
+export function createDotField(canvas, options) {
+  if (options.worker !== false && WorkerDotField.isSupported(canvas)) {
+    try {
+      return new WorkerDotField(canvas, options);
+    } catch {
+      // The worker wouldn't start; the canvas is only transferred after it has.
+    }
   }
-
-  return q;
+  return new DotField(canvas, options);
 }
 
-export class DotField {
-  /** @type {HTMLCanvasElement} */
+/**
+ * Browser adapter: sizes the canvas from the window, drives a {@link DotFieldSim} from
+ * requestAnimationFrame and draws it.
+ *
+ * With `options.viewport` it touches no DOM globals at all, which is how the worker
+ * (`dotFieldWorker.js`) runs it against an OffscreenCanvas; the host then reports size and
+ * visibility through `resize()` and `setHidden()`.
+ *
+ * Lifecycle milestones are dispatched as `CustomEvent`s (see {@link FIELD_EVENTS}). Sim-side
+ * events (spawn, drop, settle, grid) fire after the frame or call that produced them.
+ */
+export class DotField extends EventTarget {
+  /** @type {HTMLCanvasElement | OffscreenCanvas} */
   #canvas;
-  /** @type {CanvasRenderingContext2D} */
+  /** @type {CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D} */
   #ctx;
+  /** @type {Viewport | null} */
+  #viewport = null;
   /** @type {Palette} */
   #palette;
   /** @type {Mode} */
@@ -134,79 +121,31 @@ export class DotField {
   /** @type {boolean} */
   #reducedMotion;
 
-  /** @type {Dot[]} */
-  #dots = [];
-  #dpr = 1;
-  #width = 0;
-  #height = 0;
-  #setupScheduled = false;
+  /** @type {DotFieldSim} */
+  #sim;
+  /** @type {number | null} */
+  #setupRaf = null;
+  /** @type {number | null} */
+  #densityRaf = null;
 
   #lastT = nowMs();
   /** @type {number | null} */
   #raf = null;
   #running = false;
   #paused = false;
-  /** @type {number | null} */
-  #introUntilMs = null;
-
-  #navActive = false;
-  /** @type {string | null} */
-  #activeSection = null;
-  /** @type {Anchor | null} */
-  #sectionAnchor = null;
-  /** @type {DOMRect | null} */
-  #hotElementRect = null;
-  /** @type {Anchor[]} */
-  #interactiveAnchors = [];
-
-  #cohesion = 0.12;
-  #stability = 0.92;
-  #noise = 0.22;
-  #maxV = 0.9;
-  #densityScalar = 1;
-  #bufferPx = 1.5;
-  #edgePaddingCssPx = 2;
-  #excludeTopCssPx = 0;
-  /** @type {{ left: number; top: number; right: number; bottom: number }[]} */
-  #excludeRectsCssPx = [];
-  #minRadiusCssPx = 1.5;
-  #maxRadiusCssPx = 4;
-  #sizeCount = 5;
-  #distribution = 'flat';
-  #autoFit = true;
-  #reactToUi = true;
-  #speed = 0.35;
-  #physicsEnabled = true;
-
-  #breathingEnabled = false;
-  /** @type {number | null} */
-  #breathStartMs = null;
-
-  #gridEnabled = false;
-  #gridPull = 50;
-  /** @type {number | null} */
-  #gridTransitionUntilMs = null;
-  #gridSoftCollisions = false;
-
-  #gravityEnabled = false;
-  /** @type {number | null} */
-  #gravityDropUntilMs = null;
-  /** @type {number | null} */
-  #gravityMaskUntilMs = null;
-  /** @type {number | null} */
-  #gravityMaskStartMs = null;
-  /** @type {number | null} */
-  #gravityActiveUntilMs = null;
-  /** @type {number | null} */
-  #settleBoostUntilMs = null;
-  /** @type {number | null} */
-  #settleBoostStartMs = null;
+  // Shapes reported by each excludeElements() call, merged into the sim's tracked exclusions.
+  /** @type {Set<{ shapes: Region[] }>} */
+  #excludedGroups = new Set();
+  // Likewise for haloElements().
+  /** @type {Set<{ shapes: Region[] }>} */
+  #haloGroups = new Set();
 
   /**
-   * @param {HTMLCanvasElement} canvas
+   * @param {HTMLCanvasElement | OffscreenCanvas} canvas
    * @param {Options} options
    */
   constructor(canvas, options) {
+    super();
     this.#canvas = canvas;
     const ctx = canvas.getContext('2d', { alpha: false });
     if (!ctx) throw new Error('Canvas 2D not available');
@@ -214,198 +153,448 @@ export class DotField {
     this.#mode = options.mode;
     this.#reducedMotion = options.reducedMotion;
     this.#palette = this.#mode === 'light' ? { bg: '#fff', dot: '#000' } : { bg: '#000', dot: '#fff' };
-
-    this.#setup();
-    window.addEventListener('resize', () => this.#setup(), { passive: true });
-    document.addEventListener('visibilitychange', () => {
-      if (document.hidden) this.stop();
-      else if (this.#running && !this.#paused) this.start();
+    this.#viewport = options.viewport ?? null;
+
+    const { width, height, dpr } = this.#readViewport();
+    this.#sim = new DotFieldSim({
+      width,
+      height,
+      dpr,
+      seed: options.seed,
+      reducedMotion: options.reducedMotion,
     });
+
+    this.#syncCanvas();
+    if (this.#viewport) return;
+    window.addEventListener('resize', () => this.#onResize(), { passive: true });
+    document.addEventListener('visibilitychange', () => this.setHidden(document.hidden));
+  }
+
+  /** The underlying simulation core. */
+  get sim() {
+    return this.#sim;
+  }
+
+  get seed() {
+    return this.#sim.seed;
+  }
+
+  /**
+   * Re-seeds spawning and motion. The same seed, settings and viewport always
+   * produce the same layout.
+   * @param {number} seed
+   */
+  setSeed(seed) {
+    this.#sim.setSeed(seed);
+    this.#scheduleSetup();
   }
 
   /** @param {boolean} reduced */
   setReducedMotion(reduced) {
     this.#reducedMotion = reduced;
+    this.#sim.setReducedMotion(reduced);
     if (reduced) {
       this.stop();
+      this.#sim.completeFades();
       this.#draw(true);
     } else if (this.#running) {
       this.start();
     }
   }
 
-  /** @param {boolean} active */
-  setNavActive(active) {
-    this.#navActive = active;
+  /**
+   * @param {boolean} active
+   * @param {number | null=} item index of the pointed-at or focused nav item
+   */
+  setNavActive(active, item) {
+    this.#sim.setNavActive(active, item);
+    if (this.#reducedMotion) this.#draw(true);
+  }
+
+  /** @param {Element[]} elements nav labels, in order */
+  setNavElements(elements) {
+    this.setNavItems(elements.map((el) => el.getBoundingClientRect()));
+  }
+
+  /** @param {Rect[]} rects viewport rects in CSS pixels */
+  setNavItems(rects) {
+    this.#sim.setNavItems(rects);
     if (this.#reducedMotion) this.#draw(true);
   }
 
   /** @param {string | null} section */
   setActiveSection(section) {
-    this.#activeSection = section;
+    this.#sim.setActiveSection(section);
     if (this.#reducedMotion) this.#draw(true);
   }
 
   /** @param {Anchor | null} anchor */
   setSectionAnchor(anchor) {
-    this.#sectionAnchor = anchor;
+    this.#sim.setSectionAnchor(anchor);
     if (this.#reducedMotion) this.#draw(true);
   }
 
   /** @param {HTMLElement | null} el */
   setHotElement(el) {
-    this.#hotElementRect = el ? el.getBoundingClientRect() : null;
+    this.setHotRect(el ? el.getBoundingClientRect() : null);
+  }
+
+  /** @param {Rect | null} rect viewport rect in CSS pixels */
+  setHotRect(rect) {
+    this.#sim.setHotRect(rect);
     if (this.#reducedMotion) this.#draw(true);
   }
 
   /** @param {Anchor[]} anchors */
   setInteractiveAnchors(anchors) {
-    this.#interactiveAnchors = anchors;
+    this.#sim.setInteractiveAnchors(anchors);
     if (this.#reducedMotion) this.#draw(true);
   }
 
+  /** @param {PointerState[]} pointers viewport positions in CSS pixels */
+  setPointers(pointers) {
+    this.#sim.setPointers(pointers);
+  }
+
   /** @param {number} scalar */
   setDensityScalar(scalar) {
-    const next = clamp(scalar, 0.1, 3);
-    this.#densityScalar = next;
-    this.#scheduleSetup();
+    if (this.#sim.setDensityScalar(scalar)) this.#scheduleDensitySync();
+  }
+
+  /** @param {number} count exact number of dots */
+  setDotCount(count) {
+    if (this.#sim.setDotCount(count)) this.#scheduleDensitySync();
+  }
+
+  /**
+   * @param {DensityModel} model
+   * @param {number} value scalar, dot count, dots per 100k CSS px², or ink coverage (0..1)
+   */
+  setDensity(model, value) {
+    if (this.#sim.setDensity(model, value)) this.#scheduleDensitySync();
+  }
+
+  /**
+   * Switches density model while keeping the current dot count.
+   * @param {DensityModel} model
+   * @returns {number} the equivalent value under `model`
+   */
+  setDensityModel(model) {
+    return this.#sim.setDensityModel(model);
   }
 
   /** @param {number} cssPx */
   setMinRadius(cssPx) {
-    const next = clamp(cssPx, 0.5, 200);
-    this.#minRadiusCssPx = next;
-    if (this.#minRadiusCssPx > this.#maxRadiusCssPx) this.#maxRadiusCssPx = this.#minRadiusCssPx;
-    this.#scheduleSetup();
+    if (this.#sim.setMinRadius(cssPx)) this.#scheduleSetup();
   }
 
   /** @param {number} cssPx */
   setMaxRadius(cssPx) {
-    const next = clamp(cssPx, 1, 400);
-    this.#maxRadiusCssPx = next;
-    if (this.#maxRadiusCssPx < this.#minRadiusCssPx) this.#maxRadiusCssPx = this.#minRadiusCssPx;
-    this.#scheduleSetup();
+    if (this.#sim.setMaxRadius(cssPx)) this.#scheduleSetup();
   }
 
   /** @param {number} count */
   setSizeCount(count) {
-    const next = Math.round(clamp(count, 2, 15));
-    this.#sizeCount = next;
-    this.#scheduleSetup();
+    if (this.#sim.setSizeCount(count)) this.#scheduleSetup();
   }
 
-  /** @param {number | string} mode */
+  /** @param {number | string | number[] | ContinuousDistribution} mode */
   setDistribution(mode) {
-    const next = typeof mode === 'number' ? quantizeLabel(mode) : String(mode);
-    this.#distribution = next;
-    this.#scheduleSetup();
+    if (this.#sim.setDistribution(mode)) this.#scheduleSetup();
+  }
+
+  /** @param {SizeSpacing} spacing */
+  setSizeSpacing(spacing) {
+    if (this.#sim.setSizeSpacing(spacing)) this.#scheduleSetup();
+  }
+
+  /** @param {SpawnStrategy} strategy */
+  setSpawnStrategy(strategy) {
+    if (this.#sim.setSpawnStrategy(strategy)) this.#scheduleSetup();
   }
 
   /** @param {boolean} enabled */
   setAutoFitDensity(enabled) {
-    this.#autoFit = Boolean(enabled);
-    this.#scheduleSetup();
+    if (this.#sim.setAutoFitDensity(enabled)) this.#scheduleSetup();
+  }
+
+  /**
+   * Morphs sizes, count and speed to new settings over `durationMs` rather than respawning.
+   * A frozen field jumps straight to the result. Settings changed since the last frame are
+   * morphed to as well, instead of respawning afterwards.
+   * @param {TransitionParams} params
+   * @param {{ durationMs?: number }=} options
+   */
+  transitionTo(params, options) {
+    // The sim already holds those settings, and a queued respawn would throw the morph away.
+    this.#cancelPendingSetup();
+    this.#sim.transitionTo(params, this.#raf == null ? { durationMs: 0 } : options);
+    if (this.#raf == null) {
+      this.#sim.completeFades();
+      this.#draw(true);
+    }
   }
 
   /** @param {boolean} enabled */
   setReactToUi(enabled) {
-    this.#reactToUi = Boolean(enabled);
+    this.#sim.setReactToUi(enabled);
+  }
+
+  /**
+   * @param {PointerMode} mode
+   * @param {PointerOptions=} options
+   */
+  setPointerMode(mode, options) {
+    this.#sim.setPointerMode(mode, options);
   }
 
   /** @param {number} speed */
   setSpeed(speed) {
-    this.#speed = clamp(speed, 0, 1);
+    this.#sim.setSpeed(speed);
   }
 
   /** @param {boolean} enabled */
   setBreathingEnabled(enabled) {
-    const next = Boolean(enabled);
-    if (next === this.#breathingEnabled) return;
-    this.#breathingEnabled = next;
-    this.#breathStartMs = next ? nowMs() : null;
+    this.#sim.setBreathingEnabled(enabled);
   }
 
   /** @param {boolean} enabled */
   setGridEnabled(enabled) {
-    const next = Boolean(enabled);
-    if (next === this.#gridEnabled) return;
-    this.#gridEnabled = next;
-    if (!next) {
-      this.#gridTransitionUntilMs = null;
-      this.#gridSoftCollisions = false;
-      for (const dot of this.#dots) {
-        delete dot.ghx;
-        delete dot.ghy;
-      }
-      return;
-    }
-    // Allow dots to pass "through" each other briefly so they can reach their grid homes
-    // without getting stuck behind neighbors.
-    this.#gridTransitionUntilMs = nowMs() + 950;
-    this.#assignGridHomes();
+    this.#sim.setGridEnabled(enabled);
+  }
+
+  /** @param {GridLayout} layout */
+  setGridLayout(layout) {
+    this.#sim.setGridLayout(layout);
+  }
+
+  /** @param {GridAssignment} mode */
+  setGridAssignment(mode) {
+    this.#sim.setGridAssignment(mode);
+  }
+
+  /** @param {GridArrangement} arrangement */
+  setGridArrangement(arrangement) {
+    this.#sim.setGridArrangement(arrangement);
+  }
+
+  /**
+   * @param {GridStagger} stagger
+   * @param {number=} spreadMs
+   */
+  setGridStagger(stagger, spreadMs) {
+    this.#sim.setGridStagger(stagger, spreadMs);
   }
 
   /** @param {boolean} enabled */
   setGravityEnabled(enabled) {
-    this.#gravityEnabled = Boolean(enabled);
-    if (!this.#gravityEnabled) {
-      this.#gravityDropUntilMs = null;
-      this.#gravityActiveUntilMs = null;
-      this.#settleBoostUntilMs = null;
-      this.#settleBoostStartMs = null;
-    }
+    this.#sim.setGravityEnabled(enabled);
   }
 
   /** @param {{ activeMs?: number; dropMs?: number; settleDelayMs?: number; settleBoostMs?: number; maskDelayMs?: number; maskMs?: number }=} options */
   dropToBottom(options) {
-    this.#gravityEnabled = true;
-    if (this.#reducedMotion) {
-      this.#draw(true);
-      return;
-    }
-    const t0 = nowMs();
-    const dropMs = clamp(options?.dropMs ?? 1200, 100, 20_000);
-    const activeMs = clamp(options?.activeMs ?? 1000, dropMs, 30_000);
-    const settleDelayMs = clamp(options?.settleDelayMs ?? 250, 0, 10_000);
-    const settleBoostMs = clamp(options?.settleBoostMs ?? 1400, 0, 10_000);
-    const maskDelayMs = clamp(options?.maskDelayMs ?? 0, 0, 30_000);
-    // If maskMs is 0, keep the mask visible until the next Drop / reset.
-    const maskMs = clamp(options?.maskMs ?? 0, 0, 60_000);
-    this.#gravityDropUntilMs = t0 + dropMs;
-    this.#gravityActiveUntilMs = t0 + activeMs;
-    this.#settleBoostStartMs = this.#gravityDropUntilMs + settleDelayMs;
-    this.#settleBoostUntilMs = this.#settleBoostStartMs + settleBoostMs;
-    this.#gravityMaskStartMs = t0 + maskDelayMs;
-    this.#gravityMaskUntilMs = maskMs <= 0 ? null : this.#gravityMaskStartMs + maskMs;
-
-    for (const dot of this.#dots) {
-      dot.vy = Math.max(0, dot.vy);
-    }
+    this.#sim.dropToBottom(options);
+    this.#flushEvents();
+    if (this.#reducedMotion) this.#draw(true);
   }
 
   /** @param {number} cssPx */
   setTopExclusion(cssPx) {
-    const next = clamp(cssPx, 0, 10_000);
-    if (Math.abs(next - this.#excludeTopCssPx) < 0.5) return;
-    this.#excludeTopCssPx = next;
-    this.#scheduleSetup();
+    if (this.#sim.setTopExclusion(cssPx)) this.#scheduleSetup();
   }
 
   /** @param {{ left: number; top: number; right: number; bottom: number }[]} rects */
   setExclusionRects(rects) {
-    this.#excludeRectsCssPx = Array.isArray(rects) ? rects.map((r) => ({ ...r })) : [];
-    this.#scheduleSetup();
+    if (this.#sim.setExclusionRects(rects)) this.#scheduleSetup();
+  }
+
+  /**
+   * Static exclusion shapes (CSS pixels): rects with an optional corner `radius`, circles,
+   * ellipses and polygons. Regions marked `include: true` confine the dots instead.
+   * @param {Region[]} regions
+   */
+  setExclusionShapes(regions) {
+    if (this.#sim.setExclusionShapes(regions)) this.#scheduleSetup();
+  }
+
+  /**
+   * Keeps dots out of `elements` while they move, resize, open and close: the dots already
+   * there flow out around them each frame instead of the field being respawned. Hidden
+   * elements release their area. `padding` (CSS px) widens each one. `shape` is `'rect'` (the
+   * default), `'rounded'` (following the element's `border-radius`), or the `'circle'` or
+   * `'ellipse'` inscribed in its box; dots are pushed off along the shape's surface normal.
+   * @param {Element[]} elements
+   * @param {ExcludeOptions=} options
+   * @returns {() => void} stops tracking these elements
+   */
+  excludeElements(elements, { padding = 0, shape = 'rect' } = {}) {
+    return trackGroup(this.#excludedGroups, elements, { padding, shape }, (shapes) => this.setTrackedExclusions(shapes));
+  }
+
+  /**
+   * Exclusion shapes that move (CSS pixels); {@link excludeElements} keeps them current.
+   * @param {(Rect | Region)[]} regions
+   */
+  setTrackedExclusions(regions) {
+    this.#sim.setTrackedExclusions(regions);
+  }
+
+  /**
+   * Surrounds `elements` with a density halo instead of (or as well as) excluding them: the
+   * field thins to fewer, smaller, slower dots near them (see {@link setHaloOptions}). Tracked
+   * like {@link excludeElements}, with the same options.
+   * @param {Element[]} elements
+   * @param {ExcludeOptions=} options
+   * @returns {() => void} stops tracking these elements
+   */
+  haloElements(elements, { padding = 0, shape = 'rect' } = {}) {
+    return trackGroup(this.#haloGroups, elements, { padding, shape }, (shapes) => this.setHalos(shapes));
+  }
+
+  /**
+   * Halo regions that move (CSS pixels); {@link haloElements} keeps them current.
+   * @param {(Rect | Region)[]} regions
+   */
+  setHalos(regions) {
+    this.#sim.setHalos(regions);
+    if (this.#reducedMotion) this.#draw(true);
+  }
+
+  /** @param {HaloOptions} options */
+  setHaloOptions(options) {
+    if (this.#sim.setHaloOptions(options) && this.#reducedMotion) this.#draw(true);
+  }
+
+  /**
+   * Spawns dots by a grayscale map (brighter is denser) and holds them near it while they
+   * drift; respawns the field. Canvases and images are read here (an image that's still
+   * loading is used once it loads); presets, functions and ImageData go to the sim as is.
+   * @param {DensityMapSource | CanvasImageSource | null} source
+   * @param {DensityMapOptions=} options
+   */
+  setDensityMap(source, options) {
+    const map = readDensitySource(source, () => this.setDensityMap(source, options));
+    if (map === undefined) return;
+    if (this.#sim.setDensityMap(map, options)) this.#scheduleSetup();
+  }
+
+  /**
+   * Sets the viewport explicitly instead of reading it from `window`. Existing dots are
+   * remapped into the new bounds rather than respawned.
+   * @param {number} width CSS pixels
+   * @param {number} height CSS pixels
+   * @param {number} dpr
+   */
+  resize(width, height, dpr) {
+    this.#viewport = { width, height, dpr };
+    this.#onResize();
+  }
+
+  /** @param {boolean} hidden */
+  setHidden(hidden) {
+    if (hidden) this.stop();
+    else if (this.#running && !this.#paused) this.start();
+  }
+
+  /**
+   * Encodes the current frame as a PNG.
+   * @returns {Promise<Blob | null>}
+   */
+  toBlob() {
+    this.#draw(true);
+    const canvas = this.#canvas;
+    if ('convertToBlob' in canvas) return canvas.convertToBlob({ type: 'image/png' });
+    return new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+  }
+
+  /**
+   * Adds a custom force (vortex, repulsor, …) to the simulation. See
+   * {@link DotFieldSim#addForce} for ordering and the `prepare` hook. A module is imported
+   * first (resolved against the document), so the force starts once the promise resolves.
+   * @param {string} id
+   * @param {ForceSource} force
+   * @param {ForceOptions=} options
+   * @returns {Promise<void>}
+   */
+  addForce(id, force, options) {
+    if (typeof force === 'function') {
+      this.#sim.addForce(id, force, options);
+      return Promise.resolve();
+    }
+    const base = typeof document === 'undefined' ? self.location.href : document.baseURI;
+    return import(new URL(force.module, base).href).then((mod) => {
+      if (typeof mod.default !== 'function') throw new Error(`Force module ${force.module} has no default export`);
+      this.#sim.addForce(id, mod.default, { ...options, prepare: options?.prepare ?? mod.prepare });
+    });
+  }
+
+  /** @param {string} id */
+  removeForce(id) {
+    return this.#sim.removeForce(id);
+  }
+
+  /**
+   * @param {string} id custom or built-in (`breathing`, `jitter`, `drift`, `gravity`, `cohesion`, `grid`, `halo`, `density`, `pointer`)
+   * @param {boolean} enabled
+   * @param {number=} blendMs
+   */
+  setForceEnabled(id, enabled, blendMs) {
+    this.#sim.setForceEnabled(id, enabled, blendMs);
   }
 
   #scheduleSetup() {
-    if (this.#setupScheduled) return;
-    this.#setupScheduled = true;
-    requestAnimationFrame(() => {
-      this.#setupScheduled = false;
+    if (this.#setupRaf != null) return;
+    this.#setupRaf = requestFrame(() => {
+      this.#setupRaf = null;
       this.#setup();
     });
   }
 
+  #cancelPendingSetup() {
+    if (this.#setupRaf != null) cancelFrame(this.#setupRaf);
+    if (this.#densityRaf != null) cancelFrame(this.#densityRaf);
+    this.#setupRaf = null;
+    this.#densityRaf = null;
+  }
+
+  // Density only adds or removes the difference; a full respawn already pending covers it.
+  #scheduleDensitySync() {
+    if (this.#densityRaf != null) return;
+    this.#densityRaf = requestFrame(() => {
+      this.#densityRaf = null;
+      if (this.#setupRaf != null) return;
+      this.#sim.syncDotCount();
+      if (this.#raf == null) {
+        this.#sim.completeFades();
+        this.#draw(true);
+      }
+    });
+  }
+
+  /**
+   * Captures dots, engine parameters and mode so the exact arrangement can be restored later
+   * (across reloads, route changes, or attached to a bug report).
+   * @returns {Snapshot}
+   */
+  getSnapshot() {
+    return { ...this.#sim.getSnapshot(), mode: this.#mode };
+  }
+
+  /** @param {Snapshot} snapshot */
+  restoreSnapshot(snapshot) {
+    this.#sim.restoreSnapshot(snapshot);
+    this.#flushEvents();
+    // A pending respawn would immediately throw the restored arrangement away.
+    this.#cancelPendingSetup();
+    if ((snapshot.mode === 'dark' || snapshot.mode === 'light') && snapshot.mode !== this.#mode) {
+      this.#mode = snapshot.mode;
+      this.#palette = this.#mode === 'light' ? { bg: '#fff', dot: '#000' } : { bg: '#000', dot: '#fff' };
+      this.#applyBackground();
+      this.#emit('modechange', { mode: this.#mode });
+    }
+    this.#draw(true);
+  }
+
   /** @param {Mode} mode */
   invertWithDispersion(mode) {
     this.#mode = mode;
@@ -413,38 +602,37 @@ export class DotField {
     // If we're not animating (paused) we still need to redraw immediately so the user sees the mode change.
     if (this.#reducedMotion || this.#paused || this.#raf == null) {
       this.#palette = nextPalette;
-      this.#canvas.style.background = this.#palette.bg;
+      this.#applyBackground();
       this.#draw(true);
+      this.#emit('modechange', { mode });
       return;
     }
     const start = nowMs();
-    const prev = { cohesion: this.#cohesion, noise: this.#noise };
-    this.#cohesion = 0.02;
-    this.#noise = 0.6;
+    this.#sim.disperse(380);
     const switchAt = start + 160;
-    const endAt = start + 380;
-    let switched = false;
 
     const tick = () => {
-      const t = nowMs();
-      if (!switched && t >= switchAt) {
+      if (nowMs() >= switchAt) {
         this.#palette = nextPalette;
-        this.#canvas.style.background = this.#palette.bg;
-        switched = true;
-      }
-      if (t >= endAt) {
-        this.#cohesion = prev.cohesion;
-        this.#noise = prev.noise;
+        this.#applyBackground();
+        this.#emit('modechange', { mode });
         return;
       }
-      requestAnimationFrame(tick);
+      requestFrame(tick);
     };
     tick();
   }
 
   heroIntro() {
-    if (this.#reducedMotion) return;
-    this.#introUntilMs = nowMs() + 900;
+    this.#sim.heroIntro();
+  }
+
+  /**
+   * Loosens the field for a moment: anchors barely pull and the dots jitter apart.
+   * @param {number} durationMs
+   */
+  disperse(durationMs) {
+    this.#sim.disperse(durationMs);
   }
 
   start() {
@@ -456,17 +644,21 @@ export class DotField {
     }
     if (this.#raf != null) return;
     this.#lastT = nowMs();
-    this.#raf = requestAnimationFrame((t) => this.#frame(t));
+    this.#raf = requestFrame((t) => this.#frame(t));
   }
 
   pause() {
+    const wasPaused = this.#paused;
     this.#paused = true;
     this.stop();
+    if (!wasPaused) this.#emit('paused');
   }
 
   resume() {
+    const wasPaused = this.#paused;
     this.#paused = false;
     this.start();
+    if (wasPaused) this.#emit('resumed');
   }
 
   restart() {
@@ -479,761 +671,124 @@ export class DotField {
     this.start();
   }
 
-  stop() {
-    if (this.#raf != null) cancelAnimationFrame(this.#raf);
-    this.#raf = null;
-  }
-
-  #setup() {
-    const { innerWidth, innerHeight, devicePixelRatio } = window;
-    this.#dpr = clamp(devicePixelRatio || 1, 1, 2);
-    this.#width = Math.floor(innerWidth * this.#dpr);
-    this.#height = Math.floor(innerHeight * this.#dpr);
-    this.#canvas.width = this.#width;
-    this.#canvas.height = this.#height;
-    this.#canvas.style.background = this.#palette.bg;
-
-    const area = innerWidth * innerHeight;
-    const baseDots =
-      area < 420_000 ? 420 : area < 1_000_000 ? 820 : area < 1_800_000 ? 1200 : 1650;
-    const dots = Math.floor(baseDots * this.#densityScalar);
-    this.#dots = this.#spawnDots(dots);
-    if (this.#gridEnabled) this.#assignGridHomes();
+  /**
+   * Advances the simulation by `count` fixed ticks and redraws. Meant for walking through a
+   * drop or grid transition frame by frame while frozen.
+   * @param {number=} count
+   */
+  step(count = 1) {
+    this.#sim.step(count);
     this.#draw(true);
+    this.#flushEvents();
   }
 
-  #assignGridHomes() {
-    if (this.#dots.length === 0) return;
-    const excludeTop = this.#excludeTopCssPx * this.#dpr;
-    const buffer = this.#bufferPx * this.#dpr;
-    const maxDotR = Math.max(...this.#dots.map((d) => d.r0));
-
-    // Keep grid points inside the safe drawable area for the *largest* dot,
-    // so the solver doesn't constantly fight overlaps at the edges.
-    const margin = (this.#edgePaddingCssPx * this.#dpr) + maxDotR;
-    const usableW = Math.max(1, this.#width - 2 * margin);
-    const usableH = Math.max(1, this.#height - excludeTop - 2 * margin);
-
-    const count = this.#dots.length;
-    let cols = Math.max(1, Math.ceil(Math.sqrt((count * usableW) / Math.max(1, usableH))));
-    let rows = Math.max(1, Math.ceil(count / cols));
-    if (cols * rows < count) rows = Math.ceil(count / cols);
-
-    const stepX = cols <= 1 ? 0 : usableW / (cols - 1);
-    const stepY = rows <= 1 ? 0 : usableH / (rows - 1);
-    const offsetX = margin;
-    const offsetY = excludeTop + margin;
-
-    const totalCells = cols * rows;
-
-    const strictStep = 2 * maxDotR + buffer;
-    const actualStep = Math.min(stepX || Infinity, stepY || Infinity);
-    // If the grid is denser than a strict non-overlap layout, don't enforce collisions.
-    // (Otherwise some dots can never reach their homes and will vibrate forever.)
-    this.#gridSoftCollisions = actualStep < strictStep;
-
-    const cellCenter = (cx, cy) => ({
-      x: offsetX + cx * stepX,
-      y: offsetY + cy * stepY,
-    });
-
-    /** @type {Dot[][]} */
-    const buckets = Array.from({ length: totalCells }, () => []);
-    for (const dot of this.#dots) {
-      const gx = stepX <= 0 ? 0 : clampInt(Math.round((dot.x - offsetX) / stepX), 0, cols - 1);
-      const gy = stepY <= 0 ? 0 : clampInt(Math.round((dot.y - offsetY) / stepY), 0, rows - 1);
-      buckets[gy * cols + gx].push(dot);
-    }
-
-    /** @type {boolean[]} */
-    const used = new Array(totalCells).fill(false);
-    /** @type {{ dot: Dot; prefer: number }[]} */
-    const overflow = [];
-
-    for (let idx = 0; idx < totalCells; idx++) {
-      const bucket = buckets[idx];
-      if (bucket.length === 0) continue;
-      const cx = idx % cols;
-      const cy = Math.floor(idx / cols);
-      const p = cellCenter(cx, cy);
-      bucket.sort((a, b) => {
-        const da = (a.x - p.x) ** 2 + (a.y - p.y) ** 2;
-        const db = (b.x - p.x) ** 2 + (b.y - p.y) ** 2;
-        return da - db;
-      });
-      const first = bucket[0];
-      first.ghx = p.x;
-      first.ghy = p.y;
-      first.vx *= 0.2;
-      first.vy *= 0.2;
-      used[idx] = true;
-      for (let i = 1; i < bucket.length; i++) overflow.push({ dot: bucket[i], prefer: idx });
-    }
-
-    const findNearestFree = (startIdx) => {
-      if (!used[startIdx]) return startIdx;
-      const gx = startIdx % cols;
-      const gy = Math.floor(startIdx / cols);
-      const maxRings = Math.max(cols, rows);
-      for (let ring = 1; ring <= maxRings; ring++) {
-        for (let dy = -ring; dy <= ring; dy++) {
-          for (let dx = -ring; dx <= ring; dx++) {
-            if (Math.abs(dx) !== ring && Math.abs(dy) !== ring) continue;
-            const cx = gx + dx;
-            const cy = gy + dy;
-            if (cx < 0 || cy < 0 || cx >= cols || cy >= rows) continue;
-            const idx = cy * cols + cx;
-            if (!used[idx]) return idx;
-          }
-        }
-      }
-      return startIdx;
-    };
-
-    for (const item of overflow) {
-      const idx = findNearestFree(item.prefer);
-      used[idx] = true;
-      const cx = idx % cols;
-      const cy = Math.floor(idx / cols);
-      const p = cellCenter(cx, cy);
-      item.dot.ghx = p.x;
-      item.dot.ghy = p.y;
-      item.dot.vx *= 0.2;
-      item.dot.vy *= 0.2;
-    }
+  stop() {
+    if (this.#raf != null) cancelFrame(this.#raf);
+    this.#raf = null;
   }
 
-  /** @param {number} count */
-  #spawnDots(count) {
-    const attemptCounts = this.#autoFit
-      ? [count, Math.floor(count * 0.92), Math.floor(count * 0.84), Math.floor(count * 0.76), Math.floor(count * 0.68)]
-      : [count];
-
-    for (const target of attemptCounts) {
-      const result = this.#trySpawnDots(target);
-      if (!this.#autoFit) return result;
-      if (result.length === target) return result;
-    }
-
-    return this.#trySpawnDots(Math.max(40, Math.floor(count * 0.6)));
-  }
-
-  /** @param {number} target */
-  #trySpawnDots(target) {
-    const minR = this.#minRadiusCssPx * this.#dpr;
-    const maxR = this.#maxRadiusCssPx * this.#dpr * 1.06;
-    const maxRequired = 2 * maxR + this.#bufferPx * this.#dpr;
-    const cellSize = Math.max(6, maxRequired);
-    const excludeTop = this.#excludeTopCssPx * this.#dpr;
-    const edgePad = this.#edgePaddingCssPx * this.#dpr;
-    const excludeRects = this.#excludeRectsCssPx.map((r) => ({
-      left: r.left * this.#dpr,
-      top: r.top * this.#dpr,
-      right: r.right * this.#dpr,
-      bottom: r.bottom * this.#dpr,
-    }));
-
-    const sizes = Array.from({ length: this.#sizeCount }, (_, i) => {
-      return minR + (i * (maxR - minR)) / (this.#sizeCount - 1);
-    });
-
-    const weights = distributionWeights(this.#distribution, this.#sizeCount);
-    const quotas = quotasFromWeights(target, weights);
-
-    /** @type {number[]} */
-    const radii = [];
-    for (let i = 0; i < sizes.length; i++) {
-      for (let k = 0; k < quotas[i]; k++) radii.push(sizes[i]);
-    }
-    radii.sort((a, b) => b - a);
-
-    /** @type {Map<string, Dot[]>} */
-    const grid = new Map();
-    /** @type {Dot[]} */
-    const dots = [];
-
-    const perDotAttempts = clampInt(120, 20, 320);
-
-    for (const r of radii) {
-      let placed = false;
-      for (let tries = 0; tries < perDotAttempts; tries++) {
-        const x = lerp(r + edgePad, this.#width - r - edgePad, Math.random());
-        const y = lerp(excludeTop + r + edgePad, this.#height - r - edgePad, Math.random());
-        const cx = Math.floor(x / cellSize);
-        const cy = Math.floor(y / cellSize);
-
-        let ok = true;
-        if (excludeRects.length > 0) {
-          for (const rect of excludeRects) {
-            const pad = r + this.#bufferPx * this.#dpr;
-            if (x >= rect.left - pad && x <= rect.right + pad && y >= rect.top - pad && y <= rect.bottom + pad) {
-              ok = false;
-              break;
-            }
-          }
-        }
-        for (let oy = -1; oy <= 1 && ok; oy++) {
-          for (let ox = -1; ox <= 1 && ok; ox++) {
-            const bucket = grid.get(keyForCell(cx + ox, cy + oy));
-            if (!bucket) continue;
-            for (const other of bucket) {
-              const dx = x - other.x;
-              const dy = y - other.y;
-              const minDist = r + other.r + this.#bufferPx * this.#dpr;
-              if (dx * dx + dy * dy < minDist * minDist) {
-                ok = false;
-                break;
-              }
-            }
-          }
-        }
-        if (!ok) continue;
-
-        /** @type {Dot} */
-        const dot = {
-          x,
-          y,
-          vx: (Math.random() - 0.5) * 0.22,
-          vy: (Math.random() - 0.5) * 0.22,
-          r,
-          r0: r,
-          a: 1,
-          ds: lerp(0.75, 1.25, Math.random()),
-          stick: Math.random(),
-        };
-        const key = keyForCell(cx, cy);
-        const bucket = grid.get(key);
-        if (bucket) bucket.push(dot);
-        else grid.set(key, [dot]);
-        dots.push(dot);
-        placed = true;
-        break;
-      }
-      if (!placed) continue;
-    }
-
-    return dots;
-  }
-
-  #pushOutOfExclusions() {
-    if (this.#excludeRectsCssPx.length === 0) return;
-
-    const rects = this.#excludeRectsCssPx.map((r) => ({
-      left: r.left * this.#dpr,
-      top: r.top * this.#dpr,
-      right: r.right * this.#dpr,
-      bottom: r.bottom * this.#dpr,
-    }));
-
-    const buffer = this.#bufferPx * this.#dpr;
-    for (const dot of this.#dots) {
-      for (const rect of rects) {
-        const pad = dot.r + buffer;
-        const left = rect.left - pad;
-        const right = rect.right + pad;
-        const top = rect.top - pad;
-        const bottom = rect.bottom + pad;
-        if (dot.x < left || dot.x > right || dot.y < top || dot.y > bottom) continue;
-
-        const toLeft = dot.x - left;
-        const toRight = right - dot.x;
-        const toTop = dot.y - top;
-        const toBottom = bottom - dot.y;
-        const m = Math.min(toLeft, toRight, toTop, toBottom);
-
-        if (m === toLeft) {
-          dot.x = left - 0.5;
-          dot.vx = Math.min(0, dot.vx);
-        } else if (m === toRight) {
-          dot.x = right + 0.5;
-          dot.vx = Math.max(0, dot.vx);
-        } else if (m === toTop) {
-          dot.y = top - 0.5;
-          dot.vy = Math.min(0, dot.vy);
-        } else {
-          dot.y = bottom + 0.5;
-          dot.vy = Math.max(0, dot.vy);
-        }
-      }
-    }
+  /** @returns {Viewport} */
+  #readViewport() {
+    if (this.#viewport) return this.#viewport;
+    const { innerWidth, innerHeight, devicePixelRatio } = window;
+    return { width: innerWidth, height: innerHeight, dpr: devicePixelRatio };
   }
 
-  #getAnchors() {
-    /** @type {Anchor[]} */
-    const anchors = [];
-
-    if (!this.#reactToUi) return anchors;
-
-    if (this.#navActive) {
-      anchors.push({ x: this.#width * 0.2, y: this.#height * 0.08, strength: 0.9 });
-      anchors.push({ x: this.#width * 0.5, y: this.#height * 0.08, strength: 0.9 });
-      anchors.push({ x: this.#width * 0.8, y: this.#height * 0.08, strength: 0.9 });
-    } else {
-      anchors.push({ x: this.#width * 0.5, y: this.#height * 0.06, strength: 0.22 });
-    }
-
-    if (this.#hotElementRect) {
-      const r = this.#hotElementRect;
-      anchors.push({
-        x: (r.left + r.width / 2) * this.#dpr,
-        y: (r.top + r.height / 2) * this.#dpr,
-        strength: 1.1,
-      });
-    }
-
-    if (this.#sectionAnchor) {
-      anchors.push({
-        x: this.#sectionAnchor.x * this.#dpr,
-        y: this.#sectionAnchor.y * this.#dpr,
-        strength: this.#sectionAnchor.strength,
-      });
-    }
-
-    for (const a of this.#interactiveAnchors.slice(0, 18)) {
-      anchors.push({ x: a.x * this.#dpr, y: a.y * this.#dpr, strength: a.strength });
-    }
-
-    if (this.#activeSection === 'proof') {
-      anchors.push({ x: this.#width * 0.35, y: this.#height * 0.55, strength: 0.9 });
-      anchors.push({ x: this.#width * 0.65, y: this.#height * 0.55, strength: 0.9 });
-    }
-
-    if (this.#activeSection === 'footer') {
-      anchors.push({ x: this.#width * 0.5, y: this.#height * 0.92, strength: 0.55 });
-    }
-
-    return anchors;
+  #setup() {
+    const { width, height, dpr } = this.#readViewport();
+    this.#sim.resize(width, height, dpr);
+    this.#sim.respawn();
+    // Fades only advance while frames run; a frozen field shows the new dots straight away.
+    if (this.#raf == null) this.#sim.completeFades();
+    this.#syncCanvas();
+    this.#flushEvents();
+  }
+
+  // Keeps the current dots (a drop pile, a frozen composition) and only rescales them.
+  #onResize() {
+    const { width, height, dpr } = this.#readViewport();
+    this.#sim.resize(width, height, dpr);
+    if (this.#raf == null) this.#sim.completeFades();
+    this.#syncCanvas();
+    this.#flushEvents();
+  }
+
+  #syncCanvas() {
+    this.#canvas.width = this.#sim.width;
+    this.#canvas.height = this.#sim.height;
+    this.#applyBackground();
+    this.#draw(true);
   }
 
-  #sectionTuning() {
-    const speed = this.#speed;
-    const react = this.#reactToUi;
-
-    // Single baseline: calm drift + optional anchor pull.
-    this.#noise = 0;
-    this.#stability = lerp(0.992, 0.94, speed);
-    this.#maxV = lerp(0.02, 0.42, speed);
-    this.#cohesion = react ? lerp(0.0, 0.08, speed) : 0;
-
-    if (this.#gridEnabled) {
-      this.#noise = 0;
-      this.#cohesion = 0;
-      this.#stability = lerp(0.992, 0.965, speed);
-      this.#maxV = lerp(0.25, 1.5, speed);
-    }
+  // An OffscreenCanvas has no style; the worker host paints the element's background instead.
+  #applyBackground() {
+    if ('style' in this.#canvas) this.#canvas.style.background = this.#palette.bg;
   }
 
+  /** @param {number} t */
   #frame(t) {
-    this.#raf = requestAnimationFrame((tt) => this.#frame(tt));
-    const dtMs = clamp(t - this.#lastT, 0, 34);
+    this.#raf = requestFrame((tt) => this.#frame(tt));
+    const elapsedMs = t - this.#lastT;
     this.#lastT = t;
-    const dt = dtMs / 16.6667;
-    const dtSec = dtMs / 1000;
-    const tNow = nowMs();
-
-    this.#sectionTuning();
-    const dropping = this.#gravityDropUntilMs != null && tNow < this.#gravityDropUntilMs;
-    const gravityActive =
-      this.#gravityEnabled && (this.#gravityActiveUntilMs == null || tNow < this.#gravityActiveUntilMs);
-    if (this.#gravityEnabled && !gravityActive) {
-      this.setGravityEnabled(false);
-    }
-    const anchors = dropping || gravityActive ? [] : this.#getAnchors();
-    const { cohesion, stability, noise, maxV } = this;
-
-    const speed = this.#speed;
-    const minR = this.#minRadiusCssPx * this.#dpr;
-    const maxR = this.#maxRadiusCssPx * this.#dpr * 1.06;
-    const edgePad = this.#edgePaddingCssPx * this.#dpr;
-
-    const breathEnabled = this.#breathingEnabled && !this.#reducedMotion && !gravityActive;
-    const breathPeriodMs = 4200;
-    const breathAmp = 0.08;
-    const breathThresholdCss = Math.min(
-      this.#maxRadiusCssPx,
-      Math.max(this.#minRadiusCssPx + 2, this.#maxRadiusCssPx * 0.25)
-    );
-    const breathThresholdR = breathThresholdCss * this.#dpr;
-    const breathT0 = this.#breathStartMs ?? tNow;
-    // Start at midpoint (current size) and move into the downward curve (inward breath).
-    const phase = ((tNow - breathT0) / breathPeriodMs) * Math.PI * 2 + Math.PI;
-    const breath = Math.sin(phase);
-    const exhale = Math.max(0, breath);
-    // Soft-start the exhale force so it ramps up gently and doesn't spike near the peak.
-    const exhaleForce = exhale * exhale;
-    let driftSeed0 = 0;
-    let driftSeed1 = 0;
-    let driftT = 0;
-    let driftScale = 1;
-    let driftBandSeed = 0;
-    let driftForce = 0;
-    if (speed > 0) {
-      const periodMs = 8000;
-      const s0 = Math.floor(t / periodMs);
-      const s1 = s0 + 1;
-      const tt = (t - s0 * periodMs) / periodMs;
-      driftSeed0 = s0;
-      driftSeed1 = s1;
-      driftT = smoothstep(tt);
-      driftBandSeed = s0 * 8191 + 17;
-      driftScale = 1 / (520 * this.#dpr);
-      driftForce = lerp(0, 0.095, speed) * this.#dpr;
-    }
-
-    for (const dot of this.#dots) {
-      dot.r = dot.r0;
-      if (breathEnabled && dot.r0 >= breathThresholdR) {
-        dot.r = Math.max(0.5 * this.#dpr, dot.r0 * (1 + breathAmp * breath));
-      }
-
-      const jitter = (Math.random() - 0.5) * noise;
-      dot.vx += jitter * 0.22 * dt;
-      dot.vy += jitter * 0.22 * dt;
-
-      if (!this.#paused && !this.#gridEnabled && !dropping && !gravityActive && speed > 0) {
-        const sx = dot.x * driftScale;
-        const sy = dot.y * driftScale;
-        const n1a = noise2(sx, sy, driftSeed0);
-        const n1b = noise2(sx, sy, driftSeed1);
-        const n2a = noise2(sx + 19.17, sy - 11.83, driftSeed0 + 101);
-        const n2b = noise2(sx + 19.17, sy - 11.83, driftSeed1 + 101);
-        const vx = lerp(n1a, n1b, driftT) - 0.5;
-        const vy = lerp(n2a, n2b, driftT) - 0.5;
-        const len = Math.sqrt(vx * vx + vy * vy) || 1;
-
-        const bandA = noise2(sx - 7.3, sy + 5.1, driftBandSeed);
-        const bandB = noise2(sx - 7.3, sy + 5.1, driftBandSeed + 1);
-        const band = lerp(bandA, bandB, driftT);
-        const speed = lerp(0.65, 1.25, band) * dot.ds;
-        const fx = (vx / len) * driftForce * speed;
-        const fy = (vy / len) * driftForce * speed;
-        const denom = Math.max(1e-6, maxR - minR);
-        const t = clamp((dot.r0 - minR) / denom, 0, 1);
-        const sizeBias = lerp(0.6, 1.025, t);
-        const fyProjected = gravityActive ? 0 : fy;
-        if (this.#physicsEnabled) {
-          const mass = 1 + dot.r0 * dot.r0 * 0.025;
-          dot.vx += (fx / mass) * sizeBias * dt;
-          dot.vy += (fyProjected / mass) * sizeBias * dt;
-        } else {
-          dot.vx += fx * sizeBias * dt;
-          dot.vy += fyProjected * sizeBias * dt;
-        }
-      }
-
-      if (!this.#paused && gravityActive) {
-        // Gravity drop is positional so all dots fall at the same speed regardless of size.
-        const baseline = Math.max(0.35, speed);
-        const dropPxPerSec = dropping ? lerp(0, 9000, baseline) : lerp(0, 240, baseline);
-        dot.y += dropPxPerSec * dtSec * this.#dpr;
-        dot.vy = 0;
-        dot.vx *= Math.pow(0.94, dt);
-      }
-
-      if (anchors.length > 0) {
-        let pullX = 0;
-        let pullY = 0;
-        for (const a of anchors) {
-          const dx = a.x - dot.x;
-          const dy = a.y - dot.y;
-          const d2 = dx * dx + dy * dy + 1;
-          const inv = 1 / d2;
-          const w = a.strength * inv;
-          pullX += dx * w;
-          pullY += dy * w;
-        }
-        dot.vx += pullX * cohesion * dt;
-        dot.vy += pullY * cohesion * dt;
-      }
-
-      if (this.#gridEnabled && dot.ghx != null && dot.ghy != null && !dropping && !gravityActive && !this.#paused) {
-        // Use a first-order "snap" (exponential decay) instead of a stiff spring.
-        // This avoids oscillation/vibration at high pull strengths.
-        const dx = dot.ghx - dot.x;
-        const dy = dot.ghy - dot.y;
-        const rate = Math.max(0.001, this.#gridPull);
-        const t = 1 - Math.exp(-rate * dtSec);
-        dot.x += dx * t;
-        dot.y += dy * t;
-        const damp = Math.pow(0.2, dt);
-        dot.vx *= damp;
-        dot.vy *= damp;
-
-        if (Math.abs(dx) < 0.25 * this.#dpr && Math.abs(dy) < 0.25 * this.#dpr) {
-          dot.x = dot.ghx;
-          dot.y = dot.ghy;
-          dot.vx = 0;
-          dot.vy = 0;
-        }
-      }
-
-      dot.vx *= stability;
-      dot.vy *= stability;
-      dot.vx = clamp(dot.vx, -maxV, maxV);
-      dot.vy = clamp(dot.vy, -maxV, maxV);
-
-      if (!this.#paused) {
-        dot.x += dot.vx * this.#dpr * 2.2 * dt;
-        dot.y += dot.vy * this.#dpr * 2.2 * dt;
-      }
-
-      const rScaled = dot.r;
-      const excludeTop = this.#excludeTopCssPx * this.#dpr;
-      const edgePad = this.#edgePaddingCssPx * this.#dpr;
-      if (dot.x < rScaled) {
-        dot.x = rScaled + edgePad;
-        dot.vx = Math.abs(dot.vx) * 0.5;
-      } else if (dot.x > this.#width - rScaled - edgePad) {
-        dot.x = this.#width - rScaled - edgePad;
-        dot.vx = -Math.abs(dot.vx) * 0.5;
-      }
-      if (dot.y < excludeTop + rScaled + edgePad) {
-        dot.y = excludeTop + rScaled + edgePad;
-        dot.vy = Math.abs(dot.vy) * 0.5;
-      } else if (dot.y > this.#height - rScaled - edgePad) {
-        dot.y = this.#height - rScaled - edgePad;
-        dot.vy = gravityActive ? 0 : -Math.abs(dot.vy) * 0.5;
-      }
-
-      // "Sleep" grounded dots during gravity so the pile doesn't jitter.
-      if (gravityActive) {
-        const bottom = this.#height - rScaled - edgePad;
-        if (dot.y >= bottom - 0.5 * this.#dpr) {
-          if (dot.vy > 0) dot.vy = 0;
-          const speed2 = dot.vx * dot.vx + dot.vy * dot.vy;
-          if (speed2 < 0.0009) {
-            dot.vx = 0;
-            dot.vy = 0;
-          } else {
-            const damp = Math.pow(0.72, dt);
-            dot.vx *= damp;
-          }
-        }
-      }
-    }
-
-    this.#pushOutOfExclusions();
-
-    const settling =
-      this.#settleBoostStartMs != null &&
-      this.#settleBoostUntilMs != null &&
-      tNow >= this.#settleBoostStartMs &&
-      tNow < this.#settleBoostUntilMs;
-    const gridTransition =
-      this.#gridEnabled && this.#gridTransitionUntilMs != null && tNow < this.#gridTransitionUntilMs;
-    if (this.#gridTransitionUntilMs != null && tNow >= this.#gridTransitionUntilMs) this.#gridTransitionUntilMs = null;
-
-    const overlapIterations = dropping
-      ? 28
-      : settling
-        ? 16
-        : this.#gridEnabled
-          ? gridTransition || this.#gridSoftCollisions
-            ? 0
-            : 10
-          : breathEnabled
-            ? 4
-            : 2;
-    const pushScale = dropping ? 1.95 : settling ? 1.65 : this.#gridEnabled ? 1.25 : 1;
-    this.#resolveOverlaps(dt, overlapIterations, pushScale, breathEnabled ? exhaleForce : 0, breathThresholdR);
-    this.#pushOutOfExclusions();
+    this.#sim.advance(elapsedMs);
     this.#draw(false);
+    this.#flushEvents();
+  }
+
+  #flushEvents() {
+    for (const { type, detail } of this.#sim.drainEvents()) this.#emit(type, detail);
   }
 
   /**
-   * @param {number} dt
-   * @param {number} iterations
-   * @param {number} pushScale
-   * @param {number} breathExhale
-   * @param {number} breathThresholdR
+   * @param {keyof DotFieldEventMap} type
+   * @param {Record<string, any>=} detail
    */
-  #resolveOverlaps(dt, iterations = 2, pushScale = 1, breathExhale = 0, breathThresholdR = Infinity) {
-    if (this.#dots.length < 2) return;
-
-    const maxR = this.#maxRadiusCssPx * this.#dpr * 1.06;
-    const maxRequired = 2 * maxR + this.#bufferPx * this.#dpr;
-    const cellSize = Math.max(6, maxRequired);
-    const excludeTop = this.#excludeTopCssPx * this.#dpr;
-    const edgePad = this.#edgePaddingCssPx * this.#dpr;
-
-    // Grid mode is a deterministic layout: disable "stickiness" physics so dots don't form clusters.
-    const physics = this.#physicsEnabled && !this.#gravityEnabled && !this.#gridEnabled;
-    const breathing = this.#breathingEnabled;
-    const gridSnap = this.#gridEnabled;
-    const allowCoupling = !breathing;
-    const adhesionBand = physics ? 6 * this.#dpr : 0;
-    const breathBand = breathExhale > 0 ? 18 * this.#dpr : 0;
-    const bufferPx = (gridSnap ? 0 : this.#bufferPx) * this.#dpr;
-    const minDistScale = gridSnap ? 0.9 : 1;
-
-    for (let iter = 0; iter < iterations; iter++) {
-      /** @type {Map<string, Dot[]>} */
-      const grid = new Map();
-      for (const dot of this.#dots) {
-        const cx = Math.floor(dot.x / cellSize);
-        const cy = Math.floor(dot.y / cellSize);
-        const key = keyForCell(cx, cy);
-        const bucket = grid.get(key);
-        if (bucket) bucket.push(dot);
-        else grid.set(key, [dot]);
-      }
-
-      for (const dot of this.#dots) {
-        const cx = Math.floor(dot.x / cellSize);
-        const cy = Math.floor(dot.y / cellSize);
-
-        for (let oy = -1; oy <= 1; oy++) {
-          for (let ox = -1; ox <= 1; ox++) {
-            const bucket = grid.get(keyForCell(cx + ox, cy + oy));
-            if (!bucket) continue;
-            for (const other of bucket) {
-              if (other === dot) continue;
-              if (other.x < dot.x) continue;
-              if (other.x === dot.x && other.y <= dot.y) continue;
-
-              const dx = other.x - dot.x;
-              const dy = other.y - dot.y;
-              const dist2 = dx * dx + dy * dy;
-              const minDist = (dot.r + other.r + bufferPx) * minDistScale;
-              const minDist2 = minDist * minDist;
-              const stickRaw = physics ? (dot.stick + other.stick) * 0.5 : 0;
-              const stick = breathing || gridSnap ? 0 : stickRaw;
-              const restitution = !physics || gridSnap ? 0 : breathing ? 0.06 : lerp(1.25, 0.05, stick);
-              const friction = !physics || gridSnap ? 1 : breathing ? 0.9 : lerp(0.06, 0.7, stick);
-              const adhesionStrength = !physics || gridSnap || breathing ? 0 : 0.05 * stick;
-              const coupleStrength = !physics || gridSnap || !allowCoupling ? 0 : 0.9 * stick;
-              if (dist2 >= minDist2) {
-                if (breathBand > 0) {
-                  const band2 = (minDist + breathBand) * (minDist + breathBand);
-                  if (dist2 < band2 && (dot.r0 >= breathThresholdR || other.r0 >= breathThresholdR)) {
-                    const dist = Math.sqrt(Math.max(1e-6, dist2));
-                    const nx = dx / dist;
-                    const ny = dy / dist;
-                    const gap = dist - minDist;
-                    const t = clamp(1 - gap / breathBand, 0, 1);
-                    // Progressive "exhale" pressure: gently separate nearby dots as the breathing dot expands,
-                    // so we don't get a single snap when the radius peaks.
-                    const push = breathExhale * t * 0.55 * this.#dpr * dt;
-                    dot.x -= nx * push;
-                    dot.y -= ny * push;
-                    other.x += nx * push;
-                    other.y += ny * push;
-                  }
-                }
-                const band2 = (minDist + adhesionBand) * (minDist + adhesionBand);
-                if (dist2 < band2) {
-                  const dist = Math.sqrt(Math.max(1e-6, dist2));
-                  const nx = dx / dist;
-                  const ny = dy / dist;
-                  const gap = dist - minDist;
-
-                  if (adhesionStrength > 0) {
-                    const pull = clamp(adhesionStrength * (1 - gap / adhesionBand), 0, adhesionStrength);
-                    dot.vx += nx * pull * dt;
-                    dot.vy += ny * pull * dt;
-                    other.vx -= nx * pull * dt;
-                    other.vy -= ny * pull * dt;
-                  }
-
-                  // "Attachment": suppress relative jitter so clusters move as a unit.
-                  if (coupleStrength > 0.001) {
-                    const avgVx = (dot.vx + other.vx) * 0.5;
-                    const avgVy = (dot.vy + other.vy) * 0.5;
-                    const t = clamp(coupleStrength * (1 - gap / adhesionBand), 0, coupleStrength);
-                    dot.vx = lerp(dot.vx, avgVx, t);
-                    dot.vy = lerp(dot.vy, avgVy, t);
-                    other.vx = lerp(other.vx, avgVx, t);
-                    other.vy = lerp(other.vy, avgVy, t);
-                  }
-                }
-                continue;
-              }
-
-              const dist = Math.sqrt(Math.max(1e-6, dist2));
-              const overlap = minDist - dist;
-              const nx = dx / dist;
-              const ny = dy / dist;
-              const push = overlap * 0.5 * clamp(pushScale, 0.5, 2);
-
-              dot.x -= nx * push;
-              dot.y -= ny * push;
-              other.x += nx * push;
-              other.y += ny * push;
-
-              if (physics) {
-                const rvx = other.vx - dot.vx;
-                const rvy = other.vy - dot.vy;
-                const vn = rvx * nx + rvy * ny;
-                if (vn < 0) {
-                  const j = -(1 + restitution) * vn * 0.5;
-                  dot.vx -= j * nx;
-                  dot.vy -= j * ny;
-                  other.vx += j * nx;
-                  other.vy += j * ny;
-                }
-
-                const tvx = rvx - vn * nx;
-                const tvy = rvy - vn * ny;
-                dot.vx += tvx * (0.5 - friction * 0.5);
-                dot.vy += tvy * (0.5 - friction * 0.5);
-                other.vx -= tvx * (0.5 - friction * 0.5);
-                other.vy -= tvy * (0.5 - friction * 0.5);
-
-                const dampBase = lerp(0.99, 0.94, friction);
-                const damp = Math.pow(dampBase, dt);
-                dot.vx *= damp;
-                dot.vy *= damp;
-                other.vx *= damp;
-                other.vy *= damp;
-              }
-
-              if (gridSnap) {
-                const snapDamp = Math.pow(0.55, dt);
-                dot.vx *= snapDamp;
-                dot.vy *= snapDamp;
-                other.vx *= snapDamp;
-                other.vy *= snapDamp;
-              }
-            }
-          }
-        }
-      }
-    }
-
-    for (const dot of this.#dots) {
-      const rScaled = dot.r;
-      dot.x = clamp(dot.x, rScaled + edgePad, this.#width - rScaled - edgePad);
-      dot.y = clamp(dot.y, excludeTop + rScaled + edgePad, this.#height - rScaled - edgePad);
-    }
-
-    this.#pushOutOfExclusions();
+  #emit(type, detail = {}) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
   }
 
   get cohesion() {
-    return this.#cohesion;
+    return this.#sim.cohesion;
   }
   get stability() {
-    return this.#stability;
+    return this.#sim.stability;
   }
   get noise() {
-    return this.#noise;
+    return this.#sim.noise;
   }
   get maxV() {
-    return this.#maxV;
+    return this.#sim.maxV;
   }
 
   #draw(_force) {
+    const width = this.#sim.width;
+    const height = this.#sim.height;
     this.#ctx.fillStyle = this.#palette.bg;
-    this.#ctx.fillRect(0, 0, this.#width, this.#height);
+    this.#ctx.fillRect(0, 0, width, height);
 
     this.#ctx.fillStyle = this.#palette.dot;
-    this.#ctx.globalAlpha = 1;
     this.#ctx.shadowBlur = 0;
-    for (const dot of this.#dots) {
-      const radius = Math.max(0.5, dot.r);
+    // Opacity is the only thing that varies per dot; the colour stays the palette's.
+    let alpha = 1;
+    this.#ctx.globalAlpha = 1;
+
+    const ghosts = this.#sim.ghosts;
+    for (let i = 0; i < ghosts.count; i++) {
+      if (ghosts.a[i] !== alpha) this.#ctx.globalAlpha = alpha = ghosts.a[i];
+      this.#ctx.beginPath();
+      this.#ctx.arc(ghosts.x[i], ghosts.y[i], Math.max(0.5, ghosts.r[i]), 0, Math.PI * 2);
+      this.#ctx.fill();
+    }
+
+    const { r, a } = this.#sim.dots;
+    const { x, y, count } = this.#sim.renderPositions();
+    for (let i = 0; i < count; i++) {
+      if (a[i] <= 0) continue;
+      if (a[i] !== alpha) this.#ctx.globalAlpha = alpha = a[i];
       this.#ctx.beginPath();
-      this.#ctx.arc(dot.x, dot.y, radius, 0, Math.PI * 2);
+      this.#ctx.arc(x[i], y[i], Math.max(0.5, r[i]), 0, Math.PI * 2);
       this.#ctx.fill();
     }
+    this.#ctx.globalAlpha = 1;
   }
 }
@@ -0,0 +1,3230 @@
+/**
+ * Pure dot-field simulation: no DOM, no canvas, no timers. Safe to run in Node or a worker.
+ *
+ * Coordinates are in device pixels (CSS pixels × dpr), matching the canvas backing store.
+ *
+ * @typedef {{ x: number; y: number; strength: number; radius?: number }} Anchor
+ *   `radius` (optional) widens the pull: inside it dots are drawn in like a spring, beyond it
+ *   the pull falls off with distance as for a point anchor.
+ * @typedef {{ left: number; top: number; right: number; bottom: number }} Rect
+ * @typedef {import('./regions.js').Region} Region
+ * @typedef {{ width: number; height: number; dpr?: number; seed?: number; reducedMotion?: boolean }} SimOptions
+ */
+
+import { DotBuffer, SpatialHash } from './dotBuffer.js?v=2025-12-13-1';
+import { GRID_ARRANGEMENTS, GRID_LAYOUTS, arrangeHomes, gridLattice, hasCloserPair } from './gridLayout.js?v=2025-12-13-2';
+import { fitsRegions, normalizeRegion, scaleRegion, surfaceDistance } from './regions.js?v=2025-12-13-1';
+import { densityAt, sampleDensityMap } from './densityMap.js?v=2025-12-13-2';
+
+export function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+export function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+/**
+ * @typedef {{ x: number; y: number; vx: number; vy: number; r: number; r0: number; a: number; ds: number; stick: number; ghx: number | null; ghy: number | null; gd?: number }} DotState
+ * @typedef {{
+ *   version: number;
+ *   viewport: { width: number; height: number; dpr: number };
+ *   seed: number;
+ *   rngState: number;
+ *   timeMs: number;
+ *   params: Record<string, any>;
+ *   timers: Record<string, number | null>;
+ *   dots: DotState[];
+ * }} SimSnapshot
+ * @typedef {'random' | 'poisson'} SpawnStrategy
+ * @typedef {import('./gridLayout.js').GridLayout} GridLayout
+ * @typedef {import('./gridLayout.js').GridAssignment} GridAssignment
+ * @typedef {import('./gridLayout.js').GridArrangement} GridArrangement
+ * @typedef {'none' | 'row' | 'centre' | 'size'} GridStagger
+ * @typedef {'off' | 'repel' | 'attract' | 'sweep'} PointerMode
+ * @typedef {'linear' | 'smooth' | 'sharp'} PointerFalloff
+ * @typedef {{ radius?: number; falloff?: PointerFalloff; strength?: number }} PointerOptions
+ * @typedef {{ id: number | string; x: number; y: number }} PointerState
+ * @typedef {{ width?: number; density?: number; size?: number; speed?: number; push?: number }} HaloOptions
+ *   Around halo regions the field thins out over `width` CSS px. At the surface, `density`
+ *   is the share of spawn candidates kept, `size` how far towards the largest radius dots may
+ *   grow (0: smallest only), `speed` the share of speed left, and `push` the outward force.
+ * @typedef {import('./densityMap.js').DensityMapSource} DensityMapSource
+ * @typedef {import('./densityMap.js').DensityGrid} DensityGrid
+ * @typedef {{ size?: boolean; strength?: number; invert?: boolean }} DensityMapOptions
+ *   `size` lets only small dots into dim areas, `strength` scales the force holding the
+ *   distribution (0–3, 0 for spawn only), and `invert` makes darker mean denser.
+ * @typedef {'small-linear' | 'small-curved' | 'bell' | 'flat' | 'u-shaped' | 'large-linear' | 'large-curved'} DistributionShape
+ * @typedef {{ type: 'lognormal'; median?: number; sigma?: number }
+ *   | { type: 'powerlaw'; alpha?: number }
+ *   | { type: 'exponential'; scale?: number }} ContinuousDistribution
+ * @typedef {DistributionShape | number[] | ContinuousDistribution} Distribution
+ * @typedef {'linear' | 'geometric'} SizeSpacing
+ * @typedef {'scalar' | 'count' | 'area' | 'coverage'} DensityModel
+ * @typedef {'spawned' | 'dropstart' | 'dropend' | 'settled' | 'gridreached'} SimEventType
+ * @typedef {{ type: SimEventType; detail: Record<string, any> }} SimEvent
+ */
+
+/**
+ * A force runs once per dot per tick and edits the dot in place (usually `vx`/`vy`; `x`/`y`
+ * and `r` for positional effects). Units are device pixels; `ctx.dt` is 1 for a 60Hz tick.
+ * @typedef {{
+ *   dt: number;
+ *   dtMs: number;
+ *   timeMs: number;
+ *   dpr: number;
+ *   width: number;
+ *   height: number;
+ *   bounds: Rect;
+ *   random: () => number;
+ * }} ForceContext
+ * @typedef {(i: number, dots: DotBuffer, ctx: ForceContext) => void} ForceFn
+ * @typedef {(ctx: ForceContext) => boolean | void} ForcePrepare
+ * @typedef {{ enabled?: boolean; strength?: number; blendMs?: number; prepare?: ForcePrepare }} ForceOptions
+ * @typedef {{
+ *   id: string;
+ *   fn: ForceFn;
+ *   prepare: ForcePrepare | null;
+ *   builtin: boolean;
+ *   strength: number;
+ *   weight: number;
+ *   target: number;
+ *   blendMs: number;
+ * }} ForceEntry
+ * @typedef {{
+ *   minR: number;
+ *   maxR: number;
+ *   buffer: number;
+ *   cellSize: number;
+ *   excludeTop: number;
+ *   edgePad: number;
+ *   regions: Region[];
+ *   halos: Region[];
+ *   haloWidth: number;
+ * }} SpawnParams
+ * @typedef {{
+ *   density?: number;
+ *   densityModel?: DensityModel;
+ *   minRadius?: number;
+ *   maxRadius?: number;
+ *   sizeCount?: number;
+ *   distribution?: number | string | number[] | ContinuousDistribution;
+ *   sizeSpacing?: SizeSpacing;
+ *   speed?: number;
+ * }} TransitionParams
+ */
+
+// 2: exclusions became regions (any shape) and halos, density maps, grid layouts, nav items
+// and pointers joined the params.
+const SNAPSHOT_VERSION = 2;
+
+/**
+ * Length of one simulation tick. Forces were tuned per 60Hz frame, so a tick is exactly one
+ * of those frames whatever the display refresh rate.
+ */
+export const FIXED_STEP_MS = 1000 / 60;
+// Ticks allowed per advance(); time beyond that (a long stall, a debugger pause) is dropped.
+const MAX_SUBSTEPS = 8;
+
+// How long a spawned dot takes to fade in, and a removed one to fade out.
+const FADE_MS = 420;
+// Dots fainter than this aren't worth keeping around as fading ghosts.
+const MIN_GHOST_ALPHA = 0.1;
+
+/**
+ * How the target dot count is derived, with the accepted value range for each:
+ * - `scalar`: multiplier on a default count stepped by screen area (the original model)
+ * - `count`: an exact number of dots
+ * - `area`: dots per 100k CSS px² of viewport
+ * - `coverage`: fraction of the spawn area covered by ink, given the current sizes
+ * @type {Record<DensityModel, [number, number]>}
+ */
+const DENSITY_RANGES = {
+  scalar: [0.1, 3],
+  count: [0, 20_000],
+  area: [0, 2000],
+  coverage: [0, 0.9],
+};
+
+// Poisson-disk spawning: candidates tried around each active dot (Bridson's k), how many
+// passes the spacing search gets, and how far a pass may overfill before thinning back.
+const POISSON_CANDIDATES = 30;
+const POISSON_PASSES = 8;
+const POISSON_HEADROOM = 1.15;
+
+// Cohesion while a section is active, at speed 0 and 1.
+const SECTION_COHESION = [0.01, 0.06];
+// Cohesion while the nav is active, at speed 0 and 1; it has to gather dots within a moment.
+const NAV_COHESION = [0.12, 0.4];
+// Nav anchors sit this far below their label, pulling within at least this radius (CSS px).
+const NAV_ANCHOR_GAP = 14;
+const NAV_ANCHOR_RADIUS = 28;
+// The active nav item pulls harder and wider, and damps motion around it by this much a tick.
+const NAV_ACTIVE_STRENGTH = 1.8;
+const NAV_ACTIVE_SPREAD = 1.5;
+const NAV_ACTIVE_DAMPING = 0.85;
+// Furthest one push moves a dot out of a tracked element (CSS px). The push runs three times a
+// tick (after integrating, and at the end of and after the overlap pass), so 12 px a tick.
+const TRACKED_PUSH_CSS_PX = 4;
+// Halo push at the surface with `push` 1 (device px per tick², before dpr), about half the
+// strongest drift; and how much of the speed it damps away there with `speed` 0.
+const HALO_FORCE = 0.05;
+const HALO_DAMPING = 0.2;
+// Density map pull towards brighter areas at full strength (device px per tick², before dpr),
+// and the luminance change per grid cell at which a slope counts in full.
+const DENSITY_MAP_FORCE = 0.04;
+const DENSITY_MAP_SLOPE = 0.02;
+
+function clampInt(value, min, max) {
+  return Math.round(clamp(value, min, max));
+}
+
+function smoothstep(t) {
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * How much of a pointer's push reaches a dot, from 1 under the pointer (`u` = 1) to 0 at the
+ * edge of its reach (`u` = 0).
+ * @param {PointerFalloff} falloff
+ * @param {number} u
+ */
+function pointerFalloff(falloff, u) {
+  if (falloff === 'linear') return u;
+  if (falloff === 'sharp') return u * u * u;
+  return smoothstep(u);
+}
+
+function hash3i(x, y, s) {
+  let h = (x | 0) * 374761393 + (y | 0) * 668265263 + (s | 0) * 2147483647;
+  h = (h ^ (h >>> 13)) * 1274126177;
+  h ^= h >>> 16;
+  return (h >>> 0) / 4294967296;
+}
+
+function noise2(x, y, seed) {
+  const xi = Math.floor(x);
+  const yi = Math.floor(y);
+  const xf = x - xi;
+  const yf = y - yi;
+  const u = smoothstep(xf);
+  const v = smoothstep(yf);
+
+  const n00 = hash3i(xi, yi, seed);
+  const n10 = hash3i(xi + 1, yi, seed);
+  const n01 = hash3i(xi, yi + 1, seed);
+  const n11 = hash3i(xi + 1, yi + 1, seed);
+
+  const nx0 = lerp(n00, n10, u);
+  const nx1 = lerp(n01, n11, u);
+  return lerp(nx0, nx1, v);
+}
+
+/**
+ * mulberry32 output for an already-advanced state. Tiny, fast, and good enough for
+ * layout/jitter; the state is a plain uint32 so it can be captured in snapshots.
+ * @param {number} state
+ */
+function mulberry32(state) {
+  let t = state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+function quantizeLabel(index) {
+  switch (index) {
+    case 0:
+      return 'small-linear';
+    case 1:
+      return 'small-curved';
+    case 2:
+      return 'bell';
+    case 3:
+      return 'flat';
+    case 4:
+      return 'u-shaped';
+    case 5:
+      return 'large-linear';
+    case 6:
+      return 'large-curved';
+    default:
+      return 'flat';
+  }
+}
+
+function distributionWeights(mode, n) {
+  const mid = (n - 1) / 2;
+  const sigma = Math.max(0.55, n / 5);
+
+  /** @type {number[]} */
+  const w = new Array(n).fill(1);
+  for (let i = 0; i < n; i++) {
+    const x = i - mid;
+    if (mode === 'flat') w[i] = 1;
+    else if (mode === 'bell') w[i] = Math.exp(-(x * x) / (2 * sigma * sigma));
+    else if (mode === 'small-linear') w[i] = n - i;
+    else if (mode === 'small-curved') w[i] = Math.pow(n - i, 2);
+    else if (mode === 'large-linear') w[i] = i + 1;
+    else if (mode === 'large-curved') w[i] = Math.pow(i + 1, 2);
+    else if (mode === 'u-shaped') w[i] = Math.pow(Math.abs(x) + 1, 2);
+    else w[i] = 1;
+  }
+  return w;
+}
+
+/**
+ * Canonical form of anything `setDistribution()` accepts: a slider index or shape name, a
+ * copy of a custom weight array, or a copy of a continuous distribution. Anything
+ * unrecognised is flat.
+ * @param {number | string | number[] | ContinuousDistribution} mode
+ * @returns {Distribution}
+ */
+function normalizeDistribution(mode) {
+  if (typeof mode === 'number') return quantizeLabel(mode);
+  if (Array.isArray(mode)) {
+    const weights = mode.map((w) => Math.max(0, Number(w) || 0));
+    return weights.length > 0 ? weights : 'flat';
+  }
+  if (mode && typeof mode === 'object') {
+    if (mode.type === 'lognormal' || mode.type === 'powerlaw' || mode.type === 'exponential') return { ...mode };
+    return 'flat';
+  }
+  return /** @type {DistributionShape} */ (String(mode));
+}
+
+/**
+ * Linear interpolation of a custom weight array onto `n` buckets, so a histogram drawn for
+ * five sizes still means the same shape at eight.
+ * @param {number[]} weights
+ * @param {number} n
+ */
+function resampleWeights(weights, n) {
+  if (weights.length === n) return weights.slice();
+  if (weights.length === 1 || n === 1) return new Array(n).fill(weights[0]);
+  return Array.from({ length: n }, (_, i) => {
+    const t = (i * (weights.length - 1)) / (n - 1);
+    const k = Math.min(weights.length - 2, Math.floor(t));
+    return lerp(weights[k], weights[k + 1], t - k);
+  });
+}
+
+// Abramowitz & Stegun 7.1.26: within 1.5e-7, far finer than a bucket weight needs.
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const ax = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * ax);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return sign * (1 - poly * Math.exp(-ax * ax));
+}
+
+/**
+ * Unnormalised cumulative distribution at radius `r`; only differences between two radii
+ * are used. Parameters are in CSS px, and missing ones default from the size range.
+ * @param {ContinuousDistribution} dist
+ * @param {number} r
+ * @param {number} minR
+ * @param {number} maxR
+ */
+function continuousCdf(dist, r, minR, maxR) {
+  const x = Math.max(1e-6, r);
+  if (dist.type === 'lognormal') {
+    const median = Math.max(1e-6, dist.median ?? Math.sqrt(Math.max(1e-6, minR) * maxR));
+    const sigma = Math.max(0.01, dist.sigma ?? 0.5);
+    return 0.5 * (1 + erf(Math.log(x / median) / (sigma * Math.SQRT2)));
+  }
+  if (dist.type === 'powerlaw') {
+    const alpha = dist.alpha ?? 2;
+    if (Math.abs(alpha - 1) < 1e-6) return Math.log(x);
+    return Math.pow(x, 1 - alpha) / (1 - alpha);
+  }
+  const scale = Math.max(1e-6, dist.scale ?? ((maxR - minR) / 4 || 1));
+  return -Math.exp(-(r - minR) / scale);
+}
+
+/**
+ * Bucket radii from `minR` to `maxR`: evenly spaced, or at a constant ratio for
+ * `'geometric'` (more buckets among the small sizes, where a step is easier to see).
+ * @param {number} minR
+ * @param {number} maxR
+ * @param {number} count
+ * @param {SizeSpacing} spacing
+ * @returns {number[]}
+ */
+export function sizeBuckets(minR, maxR, count, spacing) {
+  return Array.from({ length: count }, (_, i) => {
+    const t = count > 1 ? i / (count - 1) : 0;
+    if (spacing === 'geometric' && minR > 0) return minR * Math.pow(maxR / minR, t);
+    return minR + t * (maxR - minR);
+  });
+}
+
+/**
+ * Relative weight of each bucket in `sizes` under a distribution. Named shapes go by bucket
+ * index, custom arrays are resampled to the bucket count, and continuous distributions
+ * integrate over each bucket's share of the size range, so `sizes` must be in the CSS px
+ * their parameters use.
+ * @param {number | string | number[] | ContinuousDistribution} distribution
+ * @param {number[]} sizes
+ * @returns {number[]}
+ */
+export function sizeWeights(distribution, sizes) {
+  const n = sizes.length;
+  const dist = normalizeDistribution(distribution);
+  if (typeof dist === 'string') return distributionWeights(dist, n);
+  if (Array.isArray(dist)) return resampleWeights(dist, n);
+
+  const minR = sizes[0];
+  const maxR = sizes[n - 1];
+  // Each bucket owns the radii closer to it than to its neighbours; the end buckets
+  // reach as far past the range as their inner edge does within it.
+  const edges = [];
+  for (let i = 0; i < n - 1; i++) edges.push((sizes[i] + sizes[i + 1]) / 2);
+  const first = n > 1 ? 2 * sizes[0] - edges[0] : sizes[0];
+  const last = n > 1 ? 2 * sizes[n - 1] - edges[n - 2] : sizes[0];
+  const bounds = [first, ...edges, last];
+  return sizes.map((_, i) => {
+    const w = continuousCdf(dist, bounds[i + 1], minR, maxR) - continuousCdf(dist, bounds[i], minR, maxR);
+    return Number.isFinite(w) ? Math.max(0, w) : 0;
+  });
+}
+
+function quotasFromWeights(total, weights) {
+  const sum = weights.reduce((a, b) => a + b, 0);
+  const n = weights.length;
+
+  /** @type {number[]} */
+  const raw = weights.map((w) => (sum <= 0 ? total / n : (w / sum) * total));
+  /** @type {number[]} */
+  const q = raw.map((v) => Math.floor(v));
+  let remaining = total - q.reduce((a, b) => a + b, 0);
+
+  const order = raw
+    .map((v, i) => ({ i, frac: v - Math.floor(v) }))
+    .sort((a, b) => b.frac - a.frac)
+    .map((x) => x.i);
+
+  for (let k = 0; k < order.length && remaining > 0; k++) {
+    q[order[k]]++;
+    remaining--;
+  }
+
+  return q;
+}
+
+/**
+ * Max-heap of `(key, id)` pairs in two parallel arrays: pushes `id` with `key`.
+ * @param {number[]} keys
+ * @param {number[]} ids
+ * @param {number} key
+ * @param {number} id
+ */
+function heapPush(keys, ids, key, id) {
+  let at = keys.length;
+  keys.push(key);
+  ids.push(id);
+  while (at > 0) {
+    const up = (at - 1) >> 1;
+    if (keys[up] >= key) break;
+    keys[at] = keys[up];
+    ids[at] = ids[up];
+    at = up;
+  }
+  keys[at] = key;
+  ids[at] = id;
+}
+
+/**
+ * Removes the pair with the largest key from a {@link heapPush} heap.
+ * @param {number[]} keys
+ * @param {number[]} ids
+ * @returns {number} its id, or -1 when the heap is empty
+ */
+function heapPop(keys, ids) {
+  if (keys.length === 0) return -1;
+  const top = ids[0];
+  const key = /** @type {number} */ (keys.pop());
+  const id = /** @type {number} */ (ids.pop());
+  const n = keys.length;
+  if (n === 0) return top;
+  let at = 0;
+  for (;;) {
+    let child = at * 2 + 1;
+    if (child >= n) break;
+    if (child + 1 < n && keys[child + 1] > keys[child]) child++;
+    if (keys[child] <= key) break;
+    keys[at] = keys[child];
+    ids[at] = ids[child];
+    at = child;
+  }
+  keys[at] = key;
+  ids[at] = id;
+  return top;
+}
+
+// What a version 1 snapshot leaves out: the settings of a sim that was never told otherwise.
+const V1_PARAM_DEFAULTS = {
+  densityModel: 'scalar',
+  densityValues: {},
+  halosCssPx: [],
+  haloWidthCssPx: 96,
+  haloDensity: 0.2,
+  haloSize: 0.25,
+  haloSpeed: 0.35,
+  haloPush: 0.6,
+  densityMap: null,
+  densityMapSize: false,
+  densityMapStrength: 1,
+  densityMapInvert: false,
+  sizeSpacing: 'linear',
+  spawnStrategy: 'random',
+  gridLayout: 'rect',
+  gridAssignment: 'nearest',
+  gridArrangement: 'none',
+  gridStagger: 'none',
+  gridStaggerMs: 600,
+  navItemsCssPx: [],
+  navActiveItem: null,
+  pointers: [],
+  pointerMode: 'off',
+  pointerRadiusCssPx: 120,
+  pointerFalloff: 'smooth',
+  pointerStrength: 1,
+};
+
+/**
+ * Brings an older snapshot up to {@link SNAPSHOT_VERSION}. Throws for anything else, including
+ * snapshots from a newer build.
+ * @param {SimSnapshot} snapshot
+ * @returns {SimSnapshot}
+ */
+function migrateSnapshot(snapshot) {
+  if (!snapshot || !Array.isArray(snapshot.dots)) throw new Error('Unsupported dot-field snapshot');
+  if (snapshot.version === SNAPSHOT_VERSION) return snapshot;
+  if (snapshot.version !== 1) throw new Error(`Unsupported dot-field snapshot version: ${snapshot.version}`);
+  // Version 1 kept exclusions as plain rects under the old keys.
+  const { excludeRectsCssPx = [], trackedRectsCssPx = [], ...params } = snapshot.params;
+  return {
+    ...snapshot,
+    version: SNAPSHOT_VERSION,
+    params: { ...V1_PARAM_DEFAULTS, exclusionsCssPx: excludeRectsCssPx, trackedExclusionsCssPx: trackedRectsCssPx, ...params },
+    timers: { gridAssignedMs: 0, ...snapshot.timers },
+    dots: snapshot.dots.map((d) => ({ gd: 0, ...d })),
+  };
+}
+
+export class DotFieldSim {
+  #dots = new DotBuffer();
+  // Scratch buffer for spawn attempts, swapped with #dots when an attempt is kept.
+  #spawnBuffer = new DotBuffer();
+  // Dots that have left the field and are fading out. Drawn, never simulated.
+  #ghosts = new DotBuffer();
+  #hash = new SpatialHash();
+  // Pre-force copy of the dots, used to blend forces that are partially weighted in.
+  #blendFrom = new DotBuffer();
+  // Positions before the last tick, and the scratch the interpolated frame is written to.
+  #prevX = new Float32Array(0);
+  #prevY = new Float32Array(0);
+  #renderX = new Float32Array(0);
+  #renderY = new Float32Array(0);
+  #dpr = 1;
+  #cssWidth = 0;
+  #cssHeight = 0;
+  #width = 0;
+  #height = 0;
+  /** @type {boolean} */
+  #reducedMotion = false;
+
+  #seed = 0;
+  #rngState = 0;
+  // Simulated clock. Every deadline below is measured against it, so the sim is independent of wall time.
+  #timeMs = 0;
+  // Drift is phased from the last spawn so motion doesn't depend on how long the sim has been running.
+  #driftOriginMs = 0;
+  // Elapsed time not yet consumed by a whole tick.
+  #accumulatorMs = 0;
+
+  /** @type {ForceEntry[]} */
+  #forces = [];
+  /** @type {ForceContext} */
+  #forceContext = {
+    dt: 1,
+    dtMs: FIXED_STEP_MS,
+    timeMs: 0,
+    dpr: 1,
+    width: 0,
+    height: 0,
+    bounds: { left: 0, top: 0, right: 0, bottom: 0 },
+    random: () => this.#rand(),
+  };
+  // Per-tick values shared by the built-in forces, refreshed at the top of #tick().
+  #tickState = {
+    dropping: false,
+    gravityActive: false,
+    breathEnabled: false,
+    breath: 0,
+    breathThresholdR: Infinity,
+    /** @type {Anchor[]} */
+    anchors: [],
+    cohesion: 0,
+    noise: 0,
+    minR: 0,
+    maxR: 0,
+    driftSeed0: 0,
+    driftSeed1: 0,
+    driftMix: 0,
+    driftScale: 1,
+    driftBandSeed: 0,
+    driftForce: 0,
+    driftSink: 0,
+    /** @type {{ x: number; y: number; dx: number; dy: number }[]} */
+    pointers: [],
+    pointerR: 0,
+    pointerPush: 0,
+    /** @type {Anchor | null} */
+    hold: null,
+    /** @type {Region[]} */
+    halos: [],
+    haloWidth: 0,
+    haloForce: 0,
+    mapForce: 0,
+    mapStepX: 0,
+    mapStepY: 0,
+  };
+
+  /** @type {SimEvent[]} */
+  #events = [];
+  // Milestones still owed an event; checked once per tick.
+  #dropPending = false;
+  #settlePending = false;
+  #gridPending = false;
+
+  /** @type {number | null} */
+  #introUntilMs = null;
+  /** @type {number | null} */
+  #dispersedUntilMs = null;
+
+  #navActive = false;
+  /** @type {Rect[]} */
+  #navItemsCssPx = [];
+  /** @type {number | null} */
+  #navActiveItem = null;
+  /** @type {string | null} */
+  #activeSection = null;
+  /** @type {Anchor | null} */
+  #sectionAnchor = null;
+  /** @type {Rect | null} */
+  #hotRectCssPx = null;
+  /** @type {Anchor[]} */
+  #interactiveAnchors = [];
+  // CSS pixels, by pointer id; `lastX`/`lastY` is where the pointer was at the previous tick.
+  /** @type {Map<number | string, { x: number; y: number; lastX: number; lastY: number }>} */
+  #pointers = new Map();
+  /** @type {PointerMode} */
+  #pointerMode = 'off';
+  #pointerRadiusCssPx = 120;
+  /** @type {PointerFalloff} */
+  #pointerFalloff = 'smooth';
+  #pointerStrength = 1;
+
+  #cohesion = 0.12;
+  #stability = 0.92;
+  #noise = 0.22;
+  #maxV = 0.9;
+  /** @type {DensityModel} */
+  #densityModel = 'scalar';
+  // Last value set under each model, so switching back doesn't lose it.
+  /** @type {Record<DensityModel, number>} */
+  #densityValues = { scalar: 1, count: 800, area: 60, coverage: 0.3 };
+  #bufferPx = 1.5;
+  #edgePaddingCssPx = 2;
+  #excludeTopCssPx = 0;
+  /** @type {Region[]} */
+  #exclusionsCssPx = [];
+  // Shapes of tracked DOM elements: they move, so dots are eased out rather than respawned.
+  /** @type {Region[]} */
+  #trackedExclusionsCssPx = [];
+  /** @type {import('./regions.js').SurfaceHit} */
+  #surfaceHit = { d: 0, nx: 0, ny: 0 };
+  // Content the field thins out around rather than avoiding outright (CSS px).
+  /** @type {Region[]} */
+  #halosCssPx = [];
+  #haloWidthCssPx = 96;
+  #haloDensity = 0.2;
+  #haloSize = 0.25;
+  #haloSpeed = 0.35;
+  #haloPush = 0.6;
+  /** @type {DensityGrid | null} */
+  #densityMap = null;
+  #densityMapSize = false;
+  #densityMapStrength = 1;
+  #densityMapInvert = false;
+  #minRadiusCssPx = 1.5;
+  #maxRadiusCssPx = 4;
+  #sizeCount = 5;
+  /** @type {Distribution} */
+  #distribution = 'flat';
+  /** @type {SizeSpacing} */
+  #sizeSpacing = 'linear';
+  /** @type {SpawnStrategy} */
+  #spawnStrategy = 'random';
+  #autoFit = true;
+  #reactToUi = true;
+  #speed = 0.35;
+  #physicsEnabled = true;
+
+  #breathingEnabled = false;
+  /** @type {number | null} */
+  #breathStartMs = null;
+
+  #gridEnabled = false;
+  #gridPull = 50;
+  /** @type {number | null} */
+  #gridTransitionUntilMs = null;
+  #gridSoftCollisions = false;
+  /** @type {GridLayout} */
+  #gridLayout = 'rect';
+  /** @type {GridAssignment} */
+  #gridAssignment = 'nearest';
+  /** @type {GridArrangement} */
+  #gridArrangement = 'none';
+  /** @type {GridStagger} */
+  #gridStagger = 'none';
+  #gridStaggerMs = 600;
+  // When homes were last assigned; each dot's `gd` delay counts from here.
+  #gridAssignedMs = 0;
+
+  // Preset transition: each dot eases its base radius from/to these, and speed alongside.
+  #morphFromR = new Float32Array(0);
+  #morphToR = new Float32Array(0);
+  // Largest radius being morphed away from, so collisions still see shrinking giants.
+  #morphMaxR = 0;
+  #morphSpeedFrom = 0;
+  #morphSpeedTo = 0;
+  #morphStartMs = 0;
+  /** @type {number | null} */
+  #morphUntilMs = null;
+
+  #gravityEnabled = false;
+  /** @type {number | null} */
+  #gravityDropUntilMs = null;
+  /** @type {number | null} */
+  #gravityMaskUntilMs = null;
+  /** @type {number | null} */
+  #gravityMaskStartMs = null;
+  /** @type {number | null} */
+  #gravityActiveUntilMs = null;
+  /** @type {number | null} */
+  #settleBoostUntilMs = null;
+  /** @type {number | null} */
+  #settleBoostStartMs = null;
+
+  /** @param {SimOptions} options */
+  constructor(options) {
+    this.#forces = this.#builtinForces();
+    this.#seed = options.seed == null ? randomSeed() : options.seed >>> 0;
+    this.#reducedMotion = Boolean(options.reducedMotion);
+    this.resize(options.width, options.height, options.dpr ?? 1);
+  }
+
+  /** Device-pixel width of the field. */
+  get width() {
+    return this.#width;
+  }
+  /** Device-pixel height of the field. */
+  get height() {
+    return this.#height;
+  }
+  get dpr() {
+    return this.#dpr;
+  }
+  get seed() {
+    return this.#seed;
+  }
+  get timeMs() {
+    return this.#timeMs;
+  }
+  /** How far (0..1) the clock is between the last tick and the next one. */
+  get alpha() {
+    return this.#accumulatorMs / FIXED_STEP_MS;
+  }
+  /**
+   * Live dot storage. Read it, don't hold on to it: respawns swap the buffer.
+   * @returns {Readonly<DotBuffer>}
+   */
+  get dots() {
+    return this.#dots;
+  }
+  /**
+   * Removed dots still fading out (same layout as {@link dots}; draw them with their `a`).
+   * @returns {Readonly<DotBuffer>}
+   */
+  get ghosts() {
+    return this.#ghosts;
+  }
+
+  /**
+   * Sets the viewport (CSS pixels). Existing dots are remapped proportionally into the new
+   * bounds, only the difference to the area-based count is added or culled, and grid homes
+   * are recomputed in place. With no dots yet (the first call) it spawns a fresh field.
+   * @param {number} cssWidth
+   * @param {number} cssHeight
+   * @param {number} dpr
+   */
+  resize(cssWidth, cssHeight, dpr) {
+    const prevWidth = this.#width;
+    const prevHeight = this.#height;
+    const prevDpr = this.#dpr;
+    this.#dpr = clamp(dpr || 1, 1, 2);
+    this.#cssWidth = Math.max(1, cssWidth);
+    this.#cssHeight = Math.max(1, cssHeight);
+    this.#width = Math.floor(this.#cssWidth * this.#dpr);
+    this.#height = Math.floor(this.#cssHeight * this.#dpr);
+    if (this.#dots.count === 0) {
+      this.respawn();
+      return;
+    }
+    if (this.#width === prevWidth && this.#height === prevHeight && this.#dpr === prevDpr) return;
+    this.#updateMorph(true);
+
+    const sx = this.#width / Math.max(1, prevWidth);
+    const sy = this.#height / Math.max(1, prevHeight);
+    const sr = this.#dpr / prevDpr;
+    this.#rescale(this.#dots, sx, sy, sr);
+    this.#rescale(this.#ghosts, sx, sy, sr);
+    if (this.syncDotCount() !== 0) return;
+    if (this.#gridEnabled) this.#regrid();
+    this.#syncPrevious();
+  }
+
+  /** @param {number} seed */
+  setSeed(seed) {
+    this.#seed = seed >>> 0;
+  }
+
+  /** @param {boolean} reduced */
+  setReducedMotion(reduced) {
+    this.#reducedMotion = Boolean(reduced);
+  }
+
+  /**
+   * @param {boolean} active
+   * @param {number | null=} item index (into {@link setNavItems}) of the item being pointed at or
+   *   focused, which gathers more dots and holds them stiller
+   */
+  setNavActive(active, item = null) {
+    this.#navActive = active;
+    this.#navActiveItem = active ? item : null;
+  }
+
+  /**
+   * Where the nav labels are, in CSS pixels. With items set, an active nav gathers dots just
+   * under each label; without, at three fixed points across the top.
+   * @param {Rect[]} rects
+   */
+  setNavItems(rects) {
+    this.#navItemsCssPx = rects.map((r) => ({ left: r.left, top: r.top, right: r.right, bottom: r.bottom }));
+  }
+
+  /** @param {string | null} section */
+  setActiveSection(section) {
+    this.#activeSection = section;
+  }
+
+  /** @param {Anchor | null} anchor */
+  setSectionAnchor(anchor) {
+    this.#sectionAnchor = anchor;
+  }
+
+  /** @param {Rect | null} rect CSS pixels */
+  setHotRect(rect) {
+    this.#hotRectCssPx = rect ? { ...rect } : null;
+  }
+
+  /** @param {Anchor[]} anchors */
+  setInteractiveAnchors(anchors) {
+    this.#interactiveAnchors = anchors;
+  }
+
+  /**
+   * Where the pointers are, in CSS pixels: one entry per mouse, touch or focus point, `[]`
+   * when there are none. Keep each one's `id` stable while it moves so sweeps can follow it.
+   * @param {PointerState[]} pointers
+   */
+  setPointers(pointers) {
+    /** @type {Map<number | string, { x: number; y: number; lastX: number; lastY: number }>} */
+    const next = new Map();
+    for (const { id, x, y } of pointers) {
+      const prev = this.#pointers.get(id);
+      next.set(id, { x, y, lastX: prev ? prev.lastX : x, lastY: prev ? prev.lastY : y });
+    }
+    this.#pointers = next;
+  }
+
+  // The spawn-setting setters below return whether the value changed, so callers only
+  // rebuild the dot set when something actually moved.
+
+  /**
+   * Sets the density multiplier (and switches to the `scalar` model); apply it with
+   * `syncDotCount()` (or `respawn()`).
+   * @param {number} scalar
+   * @returns {boolean} whether the value changed
+   */
+  setDensityScalar(scalar) {
+    return this.setDensity('scalar', scalar);
+  }
+
+  /**
+   * Asks for exactly `count` dots, whatever the viewport (the `count` model).
+   * @param {number} count
+   * @returns {boolean} whether the value changed
+   */
+  setDotCount(count) {
+    return this.setDensity('count', count);
+  }
+
+  /**
+   * Switches density model and sets its value; see {@link DENSITY_RANGES} for the models.
+   * Apply it with `syncDotCount()` (or `respawn()`).
+   * @param {DensityModel} model
+   * @param {number} value
+   * @returns {boolean} whether the model or value changed
+   */
+  setDensity(model, value) {
+    const next = Object.hasOwn(DENSITY_RANGES, model) ? model : 'scalar';
+    const [min, max] = DENSITY_RANGES[next];
+    const v = next === 'count' ? clampInt(value, min, max) : clamp(value, min, max);
+    if (next === this.#densityModel && v === this.#densityValues[next]) return false;
+    this.#densityModel = next;
+    this.#densityValues[next] = v;
+    return true;
+  }
+
+  /**
+   * Switches density model without changing the dot count: the new model's value is
+   * converted from the current target.
+   * @param {DensityModel} model
+   * @returns {number} the value now in effect under `model`
+   */
+  setDensityModel(model) {
+    const next = Object.hasOwn(DENSITY_RANGES, model) ? model : 'scalar';
+    if (next === this.#densityModel) return this.#densityValues[next];
+    const count = this.#targetDotCount();
+    const [min, max] = DENSITY_RANGES[next];
+    let value = count;
+    if (next === 'scalar') value = count / this.#baseDotCount();
+    else if (next === 'area') value = count / (this.#cssAreaPx() / 100_000);
+    else if (next === 'coverage') value = (count * this.#meanDotAreaCssPx()) / this.#spawnAreaCssPx();
+    this.#densityModel = next;
+    this.#densityValues[next] = clamp(value, min, max);
+    return this.#densityValues[next];
+  }
+
+  /** @returns {{ model: DensityModel; value: number }} */
+  get density() {
+    return { model: this.#densityModel, value: this.#densityValues[this.#densityModel] };
+  }
+
+  /**
+   * @param {number} cssPx
+   * @returns {boolean} whether the value changed
+   */
+  setMinRadius(cssPx) {
+    const prevMin = this.#minRadiusCssPx;
+    const prevMax = this.#maxRadiusCssPx;
+    this.#minRadiusCssPx = clamp(cssPx, 0.5, 200);
+    if (this.#minRadiusCssPx > this.#maxRadiusCssPx) this.#maxRadiusCssPx = this.#minRadiusCssPx;
+    return this.#minRadiusCssPx !== prevMin || this.#maxRadiusCssPx !== prevMax;
+  }
+
+  /**
+   * @param {number} cssPx
+   * @returns {boolean} whether the value changed
+   */
+  setMaxRadius(cssPx) {
+    const prevMax = this.#maxRadiusCssPx;
+    this.#maxRadiusCssPx = clamp(cssPx, 1, 400);
+    if (this.#maxRadiusCssPx < this.#minRadiusCssPx) this.#maxRadiusCssPx = this.#minRadiusCssPx;
+    return this.#maxRadiusCssPx !== prevMax;
+  }
+
+  /**
+   * @param {number} count
+   * @returns {boolean} whether the value changed
+   */
+  setSizeCount(count) {
+    const next = Math.round(clamp(count, 2, 15));
+    if (next === this.#sizeCount) return false;
+    this.#sizeCount = next;
+    return true;
+  }
+
+  /**
+   * How dots are shared across the size buckets: a slider index (0–6) or shape name, a
+   * custom weight per bucket (resampled if the bucket count differs), or a continuous
+   * distribution over radius in CSS px: `{ type: 'lognormal', median, sigma }`,
+   * `{ type: 'powerlaw', alpha }` or `{ type: 'exponential', scale }`.
+   * @param {number | string | number[] | ContinuousDistribution} mode
+   * @returns {boolean} whether the value changed
+   */
+  setDistribution(mode) {
+    const next = normalizeDistribution(mode);
+    if (JSON.stringify(next) === JSON.stringify(this.#distribution)) return false;
+    this.#distribution = next;
+    return true;
+  }
+
+  /**
+   * Spaces the size buckets evenly (`'linear'`) or at a constant ratio (`'geometric'`).
+   * @param {SizeSpacing} spacing
+   * @returns {boolean} whether the value changed
+   */
+  setSizeSpacing(spacing) {
+    const next = spacing === 'geometric' ? 'geometric' : 'linear';
+    if (next === this.#sizeSpacing) return false;
+    this.#sizeSpacing = next;
+    return true;
+  }
+
+  /**
+   * `'random'` rejection-samples each dot (and with auto-fit retries at lower counts);
+   * `'poisson'` grows a Poisson-disk fill that spaces dots evenly and stops at what fits.
+   * @param {SpawnStrategy} strategy
+   * @returns {boolean} whether the value changed
+   */
+  setSpawnStrategy(strategy) {
+    const next = strategy === 'poisson' ? 'poisson' : 'random';
+    if (next === this.#spawnStrategy) return false;
+    this.#spawnStrategy = next;
+    return true;
+  }
+
+  /**
+   * @param {boolean} enabled
+   * @returns {boolean} whether the value changed
+   */
+  setAutoFitDensity(enabled) {
+    const next = Boolean(enabled);
+    if (next === this.#autoFit) return false;
+    this.#autoFit = next;
+    return true;
+  }
+
+  /** @param {boolean} enabled */
+  setReactToUi(enabled) {
+    this.#reactToUi = Boolean(enabled);
+  }
+
+  /**
+   * How pointers (see {@link setPointers}) move the dots: `'repel'` parts them, `'attract'`
+   * gathers them in, `'sweep'` carries them along the drag, `'off'` (the default) ignores
+   * pointers. `radius` is the reach in CSS pixels (default 120), `falloff` how the push fades
+   * towards it (`'linear'`, `'smooth'` or `'sharp'`) and `strength` a 0–3 multiplier; options
+   * left out keep their current values.
+   * @param {PointerMode} mode
+   * @param {PointerOptions=} options
+   * @returns {boolean} whether anything changed
+   */
+  setPointerMode(mode, options = {}) {
+    const next = mode === 'repel' || mode === 'attract' || mode === 'sweep' ? mode : 'off';
+    const radius = clamp(options.radius ?? this.#pointerRadiusCssPx, 8, 600);
+    const falloff = options.falloff ?? this.#pointerFalloff;
+    const curve = falloff === 'linear' || falloff === 'sharp' ? falloff : 'smooth';
+    const strength = clamp(options.strength ?? this.#pointerStrength, 0, 3);
+    if (
+      next === this.#pointerMode &&
+      radius === this.#pointerRadiusCssPx &&
+      curve === this.#pointerFalloff &&
+      strength === this.#pointerStrength
+    ) {
+      return false;
+    }
+    this.#pointerMode = next;
+    this.#pointerRadiusCssPx = radius;
+    this.#pointerFalloff = curve;
+    this.#pointerStrength = strength;
+    return true;
+  }
+
+  /** @param {number} speed */
+  setSpeed(speed) {
+    this.#speed = clamp(speed, 0, 1);
+    // A running transition would otherwise ease straight back over the new value.
+    this.#morphSpeedFrom = this.#morphSpeedTo = this.#speed;
+  }
+
+  /** @param {boolean} enabled */
+  setBreathingEnabled(enabled) {
+    const next = Boolean(enabled);
+    if (next === this.#breathingEnabled) return;
+    this.#breathingEnabled = next;
+    this.#breathStartMs = next ? this.#timeMs : null;
+  }
+
+  /** @param {boolean} enabled */
+  setGridEnabled(enabled) {
+    const next = Boolean(enabled);
+    if (next === this.#gridEnabled) return;
+    this.#gridEnabled = next;
+    if (!next) {
+      this.#gridTransitionUntilMs = null;
+      this.#gridSoftCollisions = false;
+      this.#gridPending = false;
+      this.#dots.home.fill(0, 0, this.#dots.count);
+      return;
+    }
+    // Allow dots to pass "through" each other briefly so they can reach their grid homes
+    // without getting stuck behind neighbors.
+    this.#gridTransitionUntilMs = this.#timeMs + this.#gridWindowMs();
+    this.#assignGridHomes();
+    this.#gridPending = true;
+  }
+
+  /**
+   * How dots are matched to lattice points: `'nearest'` (greedy, the default), `'total'`
+   * (least distance travelled overall) or `'longest'` (shortest worst-case trip). The
+   * refined modes cost more to compute each time the grid is laid out.
+   * @param {GridAssignment} mode
+   * @returns {boolean} whether the value changed
+   */
+  setGridAssignment(mode) {
+    const next = mode === 'total' || mode === 'longest' ? mode : 'nearest';
+    if (next === this.#gridAssignment) return false;
+    this.#gridAssignment = next;
+    if (this.#gridEnabled) this.#regrid();
+    return true;
+  }
+
+  /**
+   * Orders dot sizes across the lattice: `'none'` (sizes fall where their dots are, the
+   * default), `'centre'` (largest in the middle), `'gradient-x'` / `'gradient-y'` (growing
+   * to the right / bottom), `'checkerboard'` (larger half on alternate points) or `'rows'`
+   * (each row sorted small to large).
+   * @param {GridArrangement} arrangement
+   * @returns {boolean} whether the value changed
+   */
+  setGridArrangement(arrangement) {
+    const next = GRID_ARRANGEMENTS.includes(arrangement) ? arrangement : 'none';
+    if (next === this.#gridArrangement) return false;
+    this.#gridArrangement = next;
+    if (this.#gridEnabled) this.#regrid();
+    return true;
+  }
+
+  /**
+   * Staggers the trip to grid homes so dots arrive in a wave: `'row'` top to bottom,
+   * `'centre'` outward from the middle, `'size'` largest first. The last dots set off
+   * `spreadMs` after the first. Takes effect the next time homes are assigned.
+   * @param {GridStagger} stagger
+   * @param {number=} spreadMs
+   * @returns {boolean} whether anything changed
+   */
+  setGridStagger(stagger, spreadMs = this.#gridStaggerMs) {
+    const next = stagger === 'row' || stagger === 'centre' || stagger === 'size' ? stagger : 'none';
+    const spread = clamp(spreadMs, 0, 5000);
+    if (next === this.#gridStagger && spread === this.#gridStaggerMs) return false;
+    this.#gridStagger = next;
+    this.#gridStaggerMs = spread;
+    return true;
+  }
+
+  /**
+   * Lattice grid mode snaps to: `'rect'` (the default), `'triangular'`, `'hex'` (honeycomb),
+   * `'polar'` (concentric rings) or `'phyllotaxis'` (sunflower spiral). With grid on, dots
+   * move to the new lattice straight away.
+   * @param {GridLayout} layout
+   * @returns {boolean} whether the value changed
+   */
+  setGridLayout(layout) {
+    const next = GRID_LAYOUTS.includes(layout) ? layout : 'rect';
+    if (next === this.#gridLayout) return false;
+    this.#gridLayout = next;
+    if (this.#gridEnabled) this.#regrid();
+    return true;
+  }
+
+  /** @param {boolean} enabled */
+  setGravityEnabled(enabled) {
+    this.#gravityEnabled = Boolean(enabled);
+    if (!this.#gravityEnabled) {
+      this.#gravityDropUntilMs = null;
+      this.#gravityActiveUntilMs = null;
+      this.#settleBoostUntilMs = null;
+      this.#settleBoostStartMs = null;
+    }
+  }
+
+  /** @param {{ activeMs?: number; dropMs?: number; settleDelayMs?: number; settleBoostMs?: number; maskDelayMs?: number; maskMs?: number }=} options */
+  dropToBottom(options) {
+    this.#gravityEnabled = true;
+    this.#emit('dropstart');
+    if (this.#reducedMotion) {
+      // Nothing moves, so the drop is over as soon as it starts.
+      this.#emit('dropend');
+      this.#emit('settled');
+      return;
+    }
+    this.#dropPending = true;
+    this.#settlePending = false;
+    const t0 = this.#timeMs;
+    const dropMs = clamp(options?.dropMs ?? 1200, 100, 20_000);
+    const activeMs = clamp(options?.activeMs ?? 1000, dropMs, 30_000);
+    const settleDelayMs = clamp(options?.settleDelayMs ?? 250, 0, 10_000);
+    const settleBoostMs = clamp(options?.settleBoostMs ?? 1400, 0, 10_000);
+    const maskDelayMs = clamp(options?.maskDelayMs ?? 0, 0, 30_000);
+    // If maskMs is 0, keep the mask visible until the next Drop / reset.
+    const maskMs = clamp(options?.maskMs ?? 0, 0, 60_000);
+    this.#gravityDropUntilMs = t0 + dropMs;
+    this.#gravityActiveUntilMs = t0 + activeMs;
+    this.#settleBoostStartMs = this.#gravityDropUntilMs + settleDelayMs;
+    this.#settleBoostUntilMs = this.#settleBoostStartMs + settleBoostMs;
+    this.#gravityMaskStartMs = t0 + maskDelayMs;
+    this.#gravityMaskUntilMs = maskMs <= 0 ? null : this.#gravityMaskStartMs + maskMs;
+
+    const { vy, count } = this.#dots;
+    for (let i = 0; i < count; i++) vy[i] = Math.max(0, vy[i]);
+  }
+
+  /**
+   * Sets the top exclusion band.
+   * @param {number} cssPx
+   * @returns {boolean} whether the value changed (and a respawn is warranted)
+   */
+  setTopExclusion(cssPx) {
+    const next = clamp(cssPx, 0, 10_000);
+    if (Math.abs(next - this.#excludeTopCssPx) < 0.5) return false;
+    this.#excludeTopCssPx = next;
+    return true;
+  }
+
+  /**
+   * @param {Rect[]} rects CSS pixels
+   * @returns {boolean} whether the rects changed
+   */
+  setExclusionRects(rects) {
+    return this.setExclusionShapes(Array.isArray(rects) ? rects.map((r) => ({ ...r, type: 'rect' })) : []);
+  }
+
+  /**
+   * Static exclusion shapes in CSS pixels: rects (optionally rounded), circles, ellipses and
+   * polygons. A region with `include: true` confines dots instead, to whichever inclusion
+   * region they're nearest when there are several. Invalid entries are dropped.
+   * @param {Region[]} regions
+   * @returns {boolean} whether the regions changed
+   */
+  setExclusionShapes(regions) {
+    const next = Array.isArray(regions) ? regions.map(normalizeRegion).filter((g) => g !== null) : [];
+    const same = JSON.stringify(next) === JSON.stringify(this.#exclusionsCssPx);
+    this.#exclusionsCssPx = next;
+    return !same;
+  }
+
+  /**
+   * Exclusion shapes that move with the page (tracked elements), in CSS pixels. They never call
+   * for a respawn: dots caught inside are eased out over a few ticks, and new dots avoid them.
+   * Takes plain rects as well as any `Region`.
+   * @param {(Rect | Region)[]} regions
+   */
+  setTrackedExclusions(regions) {
+    this.#trackedExclusionsCssPx = regions.map(normalizeRegion).filter((g) => g !== null);
+  }
+
+  /**
+   * Content to surround with a density halo (CSS pixels): near it, fewer, smaller and slower
+   * dots, easing to the full field `width` away (see {@link setHaloOptions}). Like tracked
+   * exclusions these may move and never respawn; new dots follow the falloff, and a gentle
+   * outward force keeps it while the field drifts. `include` has no meaning here and is ignored.
+   * @param {(Rect | Region)[]} regions
+   */
+  setHalos(regions) {
+    this.#halosCssPx = regions
+      .map(normalizeRegion)
+      .filter((g) => g !== null)
+      .map(({ include, ...shape }) => shape);
+  }
+
+  /**
+   * @param {HaloOptions} options
+   * @returns {boolean} whether anything changed
+   */
+  setHaloOptions(options) {
+    const width = clamp(options.width ?? this.#haloWidthCssPx, 1, 600);
+    const density = clamp(options.density ?? this.#haloDensity, 0, 1);
+    const size = clamp(options.size ?? this.#haloSize, 0, 1);
+    const speed = clamp(options.speed ?? this.#haloSpeed, 0, 1);
+    const push = clamp(options.push ?? this.#haloPush, 0, 3);
+    if (
+      width === this.#haloWidthCssPx &&
+      density === this.#haloDensity &&
+      size === this.#haloSize &&
+      speed === this.#haloSpeed &&
+      push === this.#haloPush
+    ) {
+      return false;
+    }
+    this.#haloWidthCssPx = width;
+    this.#haloDensity = density;
+    this.#haloSize = size;
+    this.#haloSpeed = speed;
+    this.#haloPush = push;
+    return true;
+  }
+
+  /**
+   * Biases where dots go by a grayscale map stretched over the spawn area: spawn probability
+   * (and with `size`, the largest dot allowed) follows its luminance, and a soft force leans
+   * dots from dim areas towards brighter ones as they drift. `null` goes back to uniform.
+   * @param {DensityMapSource | null} source a preset name, `(u, v) => luminance`, ImageData or
+   *   a sampled grid (see densityMap.js)
+   * @param {DensityMapOptions=} options
+   * @returns {boolean} whether the map or its options changed (the field should respawn)
+   */
+  setDensityMap(source, options = {}) {
+    const map = sampleDensityMap(source);
+    const size = options.size ?? this.#densityMapSize;
+    const strength = clamp(options.strength ?? this.#densityMapStrength, 0, 3);
+    const invert = options.invert ?? this.#densityMapInvert;
+    const changed =
+      map !== null ||
+      this.#densityMap !== null ||
+      size !== this.#densityMapSize ||
+      strength !== this.#densityMapStrength ||
+      invert !== this.#densityMapInvert;
+    this.#densityMap = map;
+    this.#densityMapSize = Boolean(size);
+    this.#densityMapStrength = strength;
+    this.#densityMapInvert = Boolean(invert);
+    return changed;
+  }
+
+  /**
+   * Loosens cohesion and adds jitter for a moment (used around palette inversions).
+   * @param {number} durationMs
+   */
+  disperse(durationMs) {
+    this.#dispersedUntilMs = this.#timeMs + Math.max(0, durationMs);
+  }
+
+  heroIntro() {
+    if (this.#reducedMotion) return;
+    this.#introUntilMs = this.#timeMs + 900;
+  }
+
+  /**
+   * Morphs to new spawn settings instead of respawning. The dot count is synced as with
+   * `syncDotCount()`, then every dot eases its radius to a slot in the new size quotas
+   * (keeping its size rank) while speed eases to its new value.
+   * @param {TransitionParams} params
+   * @param {{ durationMs?: number }=} options
+   */
+  transitionTo(params, options) {
+    // An interrupted transition continues from wherever it had got to.
+    this.#morphUntilMs = null;
+    this.#morphMaxR = 0;
+    if (params.minRadius != null) this.setMinRadius(params.minRadius);
+    if (params.maxRadius != null) this.setMaxRadius(params.maxRadius);
+    if (params.sizeCount != null) this.setSizeCount(params.sizeCount);
+    if (params.distribution != null) this.setDistribution(params.distribution);
+    if (params.sizeSpacing != null) this.setSizeSpacing(params.sizeSpacing);
+    if (params.density != null) this.setDensity(params.densityModel ?? this.#densityModel, params.density);
+    else if (params.densityModel != null) this.setDensityModel(params.densityModel);
+    this.syncDotCount();
+
+    const dots = this.#dots;
+    const n = dots.count;
+    const { r0 } = dots;
+    if (this.#morphFromR.length < n) {
+      this.#morphFromR = new Float32Array(dots.capacity);
+      this.#morphToR = new Float32Array(dots.capacity);
+    }
+    const from = this.#morphFromR;
+    const to = this.#morphToR;
+    const radii = this.#spawnRadii(n, this.#spawnParams());
+    const order = Array.from({ length: n }, (_, i) => i).sort((a, b) => r0[b] - r0[a]);
+    let maxFrom = 0;
+    for (let k = 0; k < n; k++) {
+      const i = order[k];
+      from[i] = r0[i];
+      to[i] = radii[k] ?? r0[i];
+      maxFrom = Math.max(maxFrom, r0[i]);
+    }
+
+    this.#morphSpeedFrom = this.#speed;
+    this.#morphSpeedTo = params.speed == null ? this.#speed : clamp(params.speed, 0, 1);
+    this.#morphStartMs = this.#timeMs;
+    this.#morphUntilMs = this.#timeMs + (this.#reducedMotion ? 0 : Math.max(0, options?.durationMs ?? 800));
+    this.#morphMaxR = maxFrom;
+    if (this.#morphUntilMs === this.#timeMs) this.#updateMorph(true);
+  }
+
+  /** Discards every dot and spawns a fresh field from the current settings. */
+  respawn() {
+    this.#updateMorph(true);
+    this.#rngState = this.#seed;
+    this.#driftOriginMs = this.#timeMs;
+
+    for (let i = 0; i < this.#dots.count; i++) this.#retire(i);
+    const target = this.#targetDotCount();
+    this.#spawnDots(target);
+    if (!this.#reducedMotion) this.#dots.a.fill(0, 0, this.#dots.count);
+    if (this.#gridEnabled) this.#assignGridHomes();
+    this.#gridPending = this.#gridEnabled;
+    this.#syncPrevious();
+    this.#emit('spawned', { count: this.#dots.count, target });
+  }
+
+  /**
+   * Brings the dot count in line with the current density without a respawn. New dots are
+   * placed in free space; surplus dots are taken from the most crowded areas. Every other
+   * dot keeps its position and velocity.
+   * @returns {number} how many dots were added (negative when removed)
+   */
+  syncDotCount() {
+    this.#updateMorph(true);
+    const before = this.#dots.count;
+    const target = this.#targetDotCount();
+    if (target > before) this.#addDots(target - before);
+    else if (target < before) this.#removeDots(before - target);
+    const delta = this.#dots.count - before;
+    if (delta === 0) return 0;
+
+    // The lattice depends on the count, so everyone gets a new home.
+    if (this.#gridEnabled) this.#regrid();
+    this.#syncPrevious();
+    return delta;
+  }
+
+  // Reassigns grid homes for the current dots and lets them pass through each other on the way.
+  #regrid() {
+    this.#gridTransitionUntilMs = this.#timeMs + this.#gridWindowMs();
+    this.#assignGridHomes();
+    this.#gridPending = true;
+  }
+
+  // How long collisions stay off after homes are assigned: long enough for the last dot
+  // of a stagger to get there too.
+  #gridWindowMs() {
+    return 950 + (this.#gridStagger === 'none' ? 0 : this.#gridStaggerMs);
+  }
+
+  /**
+   * Scales positions, grid homes and sizes in place (device pixels).
+   * @param {DotBuffer} dots
+   * @param {number} sx
+   * @param {number} sy
+   * @param {number} sr radius (and speed) scale, i.e. the DPR ratio
+   */
+  #rescale(dots, sx, sy, sr) {
+    const { x, y, vx, vy, r, r0, ghx, ghy, count } = dots;
+    for (let i = 0; i < count; i++) {
+      x[i] *= sx;
+      y[i] *= sy;
+      vx[i] *= sr;
+      vy[i] *= sr;
+      r[i] *= sr;
+      r0[i] *= sr;
+      ghx[i] *= sx;
+      ghy[i] *= sy;
+    }
+  }
+
+  /**
+   * Registers a force (or replaces the custom force with the same id). Forces run in
+   * registration order, after the built-ins: breathing, jitter, drift, gravity, cohesion, grid,
+   * halo, density, pointer.
+   *
+   * `options.prepare(ctx)` runs once per tick before the per-dot calls; returning `false`
+   * skips the force for that tick. With `blendMs` the force fades in from nothing.
+   * @param {string} id
+   * @param {ForceFn} fn
+   * @param {ForceOptions=} options
+   */
+  addForce(id, fn, options = {}) {
+    if (typeof fn !== 'function') throw new Error(`Force "${id}" needs a function`);
+    const existing = this.#forces.findIndex((f) => f.id === id);
+    if (existing !== -1 && this.#forces[existing].builtin) {
+      throw new Error(`Force "${id}" is built in; use setForceEnabled() to turn it off`);
+    }
+    const strength = options.strength ?? 1;
+    const blendMs = Math.max(0, options.blendMs ?? 0);
+    const target = options.enabled === false ? 0 : strength;
+    /** @type {ForceEntry} */
+    const entry = {
+      id,
+      fn,
+      prepare: options.prepare ?? null,
+      builtin: false,
+      strength,
+      weight: blendMs > 0 ? 0 : target,
+      target,
+      blendMs,
+    };
+    if (existing === -1) this.#forces.push(entry);
+    else this.#forces[existing] = entry;
+  }
+
+  /**
+   * Removes a custom force. Returns whether one was registered under `id`.
+   * @param {string} id
+   */
+  removeForce(id) {
+    const index = this.#forces.findIndex((f) => f.id === id);
+    if (index === -1) return false;
+    if (this.#forces[index].builtin) {
+      throw new Error(`Force "${id}" is built in; use setForceEnabled() to turn it off`);
+    }
+    this.#forces.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Turns any force (built-ins included) on or off, optionally blending over `blendMs`.
+   * @param {string} id
+   * @param {boolean} enabled
+   * @param {number=} blendMs
+   */
+  setForceEnabled(id, enabled, blendMs = 0) {
+    const force = this.#forces.find((f) => f.id === id);
+    if (!force) return;
+    force.target = enabled ? force.strength : 0;
+    force.blendMs = Math.max(0, blendMs);
+    if (force.blendMs === 0) force.weight = force.target;
+  }
+
+  /** @returns {{ id: string; builtin: boolean; weight: number; enabled: boolean }[]} */
+  getForces() {
+    return this.#forces.map((f) => ({ id: f.id, builtin: f.builtin, weight: f.weight, enabled: f.target > 0 }));
+  }
+
+  /**
+   * Jumps every fade to its end: dots fully opaque, ghosts gone. Hosts call this when the
+   * field isn't animating, so a respawn while frozen isn't left invisible.
+   */
+  completeFades() {
+    this.#dots.a.fill(1, 0, this.#dots.count);
+    this.#ghosts.clear();
+  }
+
+  /**
+   * Returns and clears the events raised since the last call. The core never dispatches
+   * anything itself; the host decides when (and on which thread) listeners run.
+   * @returns {SimEvent[]}
+   */
+  drainEvents() {
+    const events = this.#events;
+    this.#events = [];
+    return events;
+  }
+
+  /**
+   * Captures the full simulation state as a JSON-serialisable object.
+   * @returns {SimSnapshot}
+   */
+  getSnapshot() {
+    return {
+      version: SNAPSHOT_VERSION,
+      viewport: { width: this.#cssWidth, height: this.#cssHeight, dpr: this.#dpr },
+      seed: this.#seed,
+      rngState: this.#rngState,
+      timeMs: this.#timeMs,
+      params: {
+        densityScalar: this.#densityValues.scalar,
+        densityModel: this.#densityModel,
+        densityValues: { ...this.#densityValues },
+        bufferPx: this.#bufferPx,
+        edgePaddingCssPx: this.#edgePaddingCssPx,
+        excludeTopCssPx: this.#excludeTopCssPx,
+        exclusionsCssPx: this.#exclusionsCssPx.map((g) => scaleRegion(g, 1)),
+        trackedExclusionsCssPx: this.#trackedExclusionsCssPx.map((g) => scaleRegion(g, 1)),
+        halosCssPx: this.#halosCssPx.map((g) => scaleRegion(g, 1)),
+        haloWidthCssPx: this.#haloWidthCssPx,
+        haloDensity: this.#haloDensity,
+        haloSize: this.#haloSize,
+        haloSpeed: this.#haloSpeed,
+        haloPush: this.#haloPush,
+        densityMap: this.#densityMap
+          ? { cols: this.#densityMap.cols, rows: this.#densityMap.rows, values: Array.from(this.#densityMap.values) }
+          : null,
+        densityMapSize: this.#densityMapSize,
+        densityMapStrength: this.#densityMapStrength,
+        densityMapInvert: this.#densityMapInvert,
+        minRadiusCssPx: this.#minRadiusCssPx,
+        maxRadiusCssPx: this.#maxRadiusCssPx,
+        sizeCount: this.#sizeCount,
+        distribution: normalizeDistribution(this.#distribution),
+        sizeSpacing: this.#sizeSpacing,
+        spawnStrategy: this.#spawnStrategy,
+        autoFit: this.#autoFit,
+        reactToUi: this.#reactToUi,
+        speed: this.#speed,
+        physicsEnabled: this.#physicsEnabled,
+        breathingEnabled: this.#breathingEnabled,
+        gridEnabled: this.#gridEnabled,
+        gridPull: this.#gridPull,
+        gridSoftCollisions: this.#gridSoftCollisions,
+        gridLayout: this.#gridLayout,
+        gridAssignment: this.#gridAssignment,
+        gridArrangement: this.#gridArrangement,
+        gridStagger: this.#gridStagger,
+        gridStaggerMs: this.#gridStaggerMs,
+        gravityEnabled: this.#gravityEnabled,
+        navActive: this.#navActive,
+        navItemsCssPx: this.#navItemsCssPx.map((r) => ({ ...r })),
+        navActiveItem: this.#navActiveItem,
+        activeSection: this.#activeSection,
+        sectionAnchor: this.#sectionAnchor ? { ...this.#sectionAnchor } : null,
+        hotRectCssPx: this.#hotRectCssPx ? { ...this.#hotRectCssPx } : null,
+        interactiveAnchors: this.#interactiveAnchors.map((a) => ({ ...a })),
+        pointers: Array.from(this.#pointers, ([id, p]) => ({ id, x: p.x, y: p.y })),
+        pointerMode: this.#pointerMode,
+        pointerRadiusCssPx: this.#pointerRadiusCssPx,
+        pointerFalloff: this.#pointerFalloff,
+        pointerStrength: this.#pointerStrength,
+      },
+      timers: {
+        driftOriginMs: this.#driftOriginMs,
+        introUntilMs: this.#introUntilMs,
+        dispersedUntilMs: this.#dispersedUntilMs,
+        breathStartMs: this.#breathStartMs,
+        gridTransitionUntilMs: this.#gridTransitionUntilMs,
+        gridAssignedMs: this.#gridAssignedMs,
+        gravityDropUntilMs: this.#gravityDropUntilMs,
+        gravityMaskUntilMs: this.#gravityMaskUntilMs,
+        gravityMaskStartMs: this.#gravityMaskStartMs,
+        gravityActiveUntilMs: this.#gravityActiveUntilMs,
+        settleBoostUntilMs: this.#settleBoostUntilMs,
+        settleBoostStartMs: this.#settleBoostStartMs,
+      },
+      dots: Array.from({ length: this.#dots.count }, (_, i) => {
+        const d = this.#dots;
+        return {
+          x: d.x[i],
+          y: d.y[i],
+          vx: d.vx[i],
+          vy: d.vy[i],
+          r: d.r[i],
+          r0: d.r0[i],
+          a: d.a[i],
+          ds: d.ds[i],
+          stick: d.stick[i],
+          ghx: d.home[i] ? d.ghx[i] : null,
+          ghy: d.home[i] ? d.ghy[i] : null,
+          gd: d.gd[i],
+        };
+      }),
+    };
+  }
+
+  /**
+   * Restores a state captured by {@link getSnapshot}. The current viewport is kept: if the
+   * snapshot was taken at a different size, positions and radii are rescaled to fit. A drop
+   * still under way is cut short and reports `settled`. Version 1 snapshots are migrated;
+   * any other version throws.
+   * @param {SimSnapshot} snapshot
+   */
+  restoreSnapshot(snapshot) {
+    snapshot = migrateSnapshot(snapshot);
+    const { params, timers, viewport } = snapshot;
+    // A drop still under way is abandoned along with the rest of the old state.
+    const dropAbandoned = this.#dropPending || this.#settlePending;
+    this.#morphUntilMs = null;
+    this.#morphMaxR = 0;
+
+    this.#seed = snapshot.seed >>> 0;
+    this.#rngState = snapshot.rngState >>> 0;
+    this.#timeMs = snapshot.timeMs;
+
+    this.#densityModel = params.densityModel;
+    this.#densityValues = { ...this.#densityValues, ...params.densityValues, scalar: params.densityScalar };
+    this.#bufferPx = params.bufferPx;
+    this.#edgePaddingCssPx = params.edgePaddingCssPx;
+    this.#excludeTopCssPx = params.excludeTopCssPx;
+    this.#exclusionsCssPx = params.exclusionsCssPx.map(normalizeRegion).filter((g) => g !== null);
+    this.#trackedExclusionsCssPx = params.trackedExclusionsCssPx.map(normalizeRegion).filter((g) => g !== null);
+    this.#halosCssPx = params.halosCssPx.map(normalizeRegion).filter((g) => g !== null);
+    this.#haloWidthCssPx = params.haloWidthCssPx;
+    this.#haloDensity = params.haloDensity;
+    this.#haloSize = params.haloSize;
+    this.#haloSpeed = params.haloSpeed;
+    this.#haloPush = params.haloPush;
+    this.#densityMap = sampleDensityMap(params.densityMap);
+    this.#densityMapSize = params.densityMapSize;
+    this.#densityMapStrength = params.densityMapStrength;
+    this.#densityMapInvert = params.densityMapInvert;
+    this.#minRadiusCssPx = params.minRadiusCssPx;
+    this.#maxRadiusCssPx = params.maxRadiusCssPx;
+    this.#sizeCount = params.sizeCount;
+    this.#distribution = normalizeDistribution(params.distribution);
+    this.#sizeSpacing = params.sizeSpacing;
+    this.#spawnStrategy = params.spawnStrategy;
+    this.#autoFit = params.autoFit;
+    this.#reactToUi = params.reactToUi;
+    this.#speed = params.speed;
+    this.#physicsEnabled = params.physicsEnabled;
+    this.#breathingEnabled = params.breathingEnabled;
+    this.#gridEnabled = params.gridEnabled;
+    this.#gridPull = params.gridPull;
+    this.#gridSoftCollisions = params.gridSoftCollisions;
+    this.#gridLayout = params.gridLayout;
+    this.#gridAssignment = params.gridAssignment;
+    this.#gridArrangement = params.gridArrangement;
+    this.#gridStagger = params.gridStagger;
+    this.#gridStaggerMs = params.gridStaggerMs;
+    this.#gravityEnabled = params.gravityEnabled;
+    this.#navActive = params.navActive;
+    this.#navItemsCssPx = params.navItemsCssPx.map((r) => ({ ...r }));
+    this.#navActiveItem = params.navActiveItem;
+    this.#activeSection = params.activeSection;
+    this.#sectionAnchor = params.sectionAnchor ? { ...params.sectionAnchor } : null;
+    this.#hotRectCssPx = params.hotRectCssPx ? { ...params.hotRectCssPx } : null;
+    this.#interactiveAnchors = params.interactiveAnchors.map((a) => ({ ...a }));
+    this.#pointers = new Map();
+    this.setPointers(params.pointers);
+    this.#pointerMode = params.pointerMode;
+    this.#pointerRadiusCssPx = params.pointerRadiusCssPx;
+    this.#pointerFalloff = params.pointerFalloff;
+    this.#pointerStrength = params.pointerStrength;
+
+    this.#driftOriginMs = timers.driftOriginMs;
+    this.#introUntilMs = timers.introUntilMs;
+    this.#dispersedUntilMs = timers.dispersedUntilMs;
+    this.#breathStartMs = timers.breathStartMs;
+    this.#gridTransitionUntilMs = timers.gridTransitionUntilMs;
+    this.#gridAssignedMs = timers.gridAssignedMs;
+    this.#gravityDropUntilMs = timers.gravityDropUntilMs;
+    this.#gravityMaskUntilMs = timers.gravityMaskUntilMs;
+    this.#gravityMaskStartMs = timers.gravityMaskStartMs;
+    this.#gravityActiveUntilMs = timers.gravityActiveUntilMs;
+    this.#settleBoostUntilMs = timers.settleBoostUntilMs;
+    this.#settleBoostStartMs = timers.settleBoostStartMs;
+
+    const snapWidth = Math.floor(viewport.width * viewport.dpr);
+    const snapHeight = Math.floor(viewport.height * viewport.dpr);
+    const sx = this.#width / Math.max(1, snapWidth);
+    const sy = this.#height / Math.max(1, snapHeight);
+    const sr = this.#dpr / viewport.dpr;
+
+    const dots = this.#dots;
+    dots.clear();
+    dots.reserve(snapshot.dots.length);
+    for (const d of snapshot.dots) {
+      const i = dots.push(d.x * sx, d.y * sy, d.r0 * sr);
+      dots.vx[i] = d.vx;
+      dots.vy[i] = d.vy;
+      dots.r[i] = d.r * sr;
+      dots.a[i] = d.a;
+      dots.ds[i] = d.ds;
+      dots.stick[i] = d.stick;
+      if (d.ghx != null && d.ghy != null) {
+        dots.ghx[i] = d.ghx * sx;
+        dots.ghy[i] = d.ghy * sy;
+        dots.gd[i] = d.gd;
+        dots.home[i] = 1;
+      }
+    }
+    this.#accumulatorMs = 0;
+    this.#ghosts.clear();
+    this.#dropPending = false;
+    this.#settlePending = false;
+    this.#gridPending = false;
+    this.#syncPrevious();
+    if (dropAbandoned) this.#emit('settled');
+  }
+
+  #assignGridHomes() {
+    const dots = this.#dots;
+    const count = dots.count;
+    if (count === 0) return;
+    const excludeTop = this.#excludeTopCssPx * this.#dpr;
+    const buffer = this.#bufferPx * this.#dpr;
+    let maxDotR = 0;
+    for (let i = 0; i < count; i++) maxDotR = Math.max(maxDotR, dots.r0[i]);
+
+    // Keep grid points inside the safe drawable area for the *largest* dot,
+    // so the solver doesn't constantly fight overlaps at the edges.
+    const margin = (this.#edgePaddingCssPx * this.#dpr) + maxDotR;
+    const lattice = gridLattice(this.#gridLayout, count, {
+      x: margin,
+      y: excludeTop + margin,
+      width: Math.max(1, this.#width - 2 * margin),
+      height: Math.max(1, this.#height - excludeTop - 2 * margin),
+    });
+
+    // If the grid is denser than a strict non-overlap layout, don't enforce collisions.
+    // (Otherwise some dots can never reach their homes and will vibrate forever.)
+    this.#gridSoftCollisions = hasCloserPair(lattice, 2 * maxDotR + buffer);
+
+    const homes = arrangeHomes(lattice, dots.x, dots.y, dots.r0, count, this.#gridAssignment, this.#gridArrangement);
+    for (let i = 0; i < count; i++) {
+      const p = homes[i];
+      if (p < 0) continue;
+      dots.ghx[i] = lattice.xs[p];
+      dots.ghy[i] = lattice.ys[p];
+      dots.home[i] = 1;
+      dots.vx[i] *= 0.2;
+      dots.vy[i] *= 0.2;
+    }
+    this.#staggerGridArrival(lattice.bounds);
+  }
+
+  /**
+   * Sets each dot's departure delay from its place in the stagger order.
+   * @param {{ x: number; y: number; width: number; height: number }} bounds
+   */
+  #staggerGridArrival(bounds) {
+    const dots = this.#dots;
+    const count = dots.count;
+    this.#gridAssignedMs = this.#timeMs;
+    if (this.#gridStagger === 'none' || this.#gridStaggerMs <= 0) {
+      dots.gd.fill(0, 0, count);
+      return;
+    }
+
+    const cx = bounds.x + bounds.width / 2;
+    const cy = bounds.y + bounds.height / 2;
+    const key = new Float64Array(count);
+    let lo = Infinity;
+    let hi = -Infinity;
+    for (let i = 0; i < count; i++) {
+      if (this.#gridStagger === 'row') key[i] = dots.ghy[i];
+      else if (this.#gridStagger === 'centre') key[i] = Math.hypot(dots.ghx[i] - cx, dots.ghy[i] - cy);
+      else key[i] = -dots.r0[i];
+      lo = Math.min(lo, key[i]);
+      hi = Math.max(hi, key[i]);
+    }
+    const span = hi - lo;
+    for (let i = 0; i < count; i++) {
+      dots.gd[i] = span > 0 ? ((key[i] - lo) / span) * this.#gridStaggerMs : 0;
+    }
+  }
+
+  /** Dots for the current viewport under the active density model. */
+  #targetDotCount() {
+    const value = this.#densityValues[this.#densityModel];
+    switch (this.#densityModel) {
+      case 'count':
+        return value;
+      case 'area':
+        return Math.floor((this.#cssAreaPx() / 100_000) * value);
+      case 'coverage':
+        return Math.floor((value * this.#spawnAreaCssPx()) / this.#meanDotAreaCssPx());
+      default:
+        return Math.floor(this.#baseDotCount() * value);
+    }
+  }
+
+  // The `scalar` model's baseline: stepped by screen area.
+  #baseDotCount() {
+    const area = this.#cssAreaPx();
+    return area < 420_000 ? 420 : area < 1_000_000 ? 820 : area < 1_800_000 ? 1200 : 1650;
+  }
+
+  #cssAreaPx() {
+    return this.#cssWidth * this.#cssHeight;
+  }
+
+  // Area dots may spawn in (below the top exclusion band), in CSS px².
+  #spawnAreaCssPx() {
+    return Math.max(1, this.#cssWidth * (this.#cssHeight - this.#excludeTopCssPx));
+  }
+
+  // Expected ink per dot under the current sizes and distribution, in CSS px².
+  #meanDotAreaCssPx() {
+    const { sizes, weights } = this.#sizeQuotas(0, this.#spawnParams());
+    const total = weights.reduce((a, b) => a + b, 0) || 1;
+    let area = 0;
+    for (let i = 0; i < sizes.length; i++) area += (weights[i] / total) * Math.PI * sizes[i] * sizes[i];
+    return Math.max(1e-6, area / (this.#dpr * this.#dpr));
+  }
+
+  /**
+   * Places up to `count` more dots in the gaps between the current ones.
+   * @param {number} count
+   */
+  #addDots(count) {
+    const spawn = this.#spawnParams();
+    const dots = this.#dots;
+    dots.reserve(dots.count + count);
+    this.#hash.configure(this.#width, this.#height, spawn.cellSize, dots.count + count);
+    this.#hash.rebuild(dots);
+    for (const r of this.#spawnRadii(count, spawn)) {
+      const i = this.#placeDot(dots, r, spawn);
+      if (i !== -1 && !this.#reducedMotion) dots.a[i] = 0;
+    }
+  }
+
+  /**
+   * Removes `count` dots, always taking the one with the most neighbour area around it so
+   * dense clusters thin out before sparse regions.
+   * @param {number} count
+   */
+  #removeDots(count) {
+    const dots = this.#dots;
+    const n = dots.count;
+    const { x, y, r0 } = dots;
+    const hash = this.#hash;
+    hash.configure(this.#width, this.#height, this.#spawnParams().cellSize, n);
+    hash.rebuild(dots);
+    const { head, next, cols, rows } = hash;
+    const reach = hash.cellSize;
+
+    /** @param {number} i @param {(j: number) => void} visit */
+    const forNeighbours = (i, visit) => {
+      const cx = hash.cellX(x[i]);
+      const cy = hash.cellY(y[i]);
+      for (let oy = Math.max(0, cy - 1); oy <= Math.min(rows - 1, cy + 1); oy++) {
+        for (let ox = Math.max(0, cx - 1); ox <= Math.min(cols - 1, cx + 1); ox++) {
+          for (let j = head[oy * cols + ox]; j !== -1; j = next[j]) {
+            if (j === i) continue;
+            const dx = x[j] - x[i];
+            const dy = y[j] - y[i];
+            if (dx * dx + dy * dy < reach * reach) visit(j);
+          }
+        }
+      }
+    };
+
+    // Crowding = summed r0² of neighbours; the random part breaks ties in empty regions
+    // so isolated dots aren't removed in index (i.e. size) order.
+    const crowd = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      crowd[i] = this.#rand() * 0.5;
+      forNeighbours(i, (j) => {
+        crowd[i] += r0[j] * r0[j];
+      });
+    }
+
+    // Most crowded first. A removal lowers its neighbours' crowding, so they are pushed again
+    // with the new value and the entries left behind are skipped when they come up.
+    /** @type {number[]} */
+    const keys = [];
+    /** @type {number[]} */
+    const ids = [];
+    for (let i = 0; i < n; i++) heapPush(keys, ids, crowd[i], i);
+    const removed = new Uint8Array(n);
+    for (let k = 0; k < count; ) {
+      const key = keys[0];
+      const best = heapPop(keys, ids);
+      if (best === -1) break;
+      if (removed[best] || key !== crowd[best]) continue;
+      removed[best] = 1;
+      k++;
+      const area = r0[best] * r0[best];
+      forNeighbours(best, (j) => {
+        if (removed[j]) return;
+        crowd[j] -= area;
+        heapPush(keys, ids, crowd[j], j);
+      });
+    }
+
+    // Highest index first, so swapRemove only ever moves dots that stay.
+    for (let i = n - 1; i >= 0; i--) {
+      if (!removed[i]) continue;
+      this.#retire(i);
+      dots.swapRemove(i);
+    }
+  }
+
+  /**
+   * @param {number} count
+   * @returns {number} how many dots were placed
+   */
+  #spawnDots(count) {
+    if (this.#spawnStrategy === 'poisson') return this.#spawnPoisson(count);
+
+    const attemptCounts = this.#autoFit
+      ? [count, Math.floor(count * 0.92), Math.floor(count * 0.84), Math.floor(count * 0.76), Math.floor(count * 0.68)]
+      : [count];
+
+    for (const target of attemptCounts) {
+      const placed = this.#trySpawnDots(target);
+      if (!this.#autoFit || placed === target) return placed;
+    }
+
+    return this.#trySpawnDots(Math.max(40, Math.floor(count * 0.6)));
+  }
+
+  /**
+   * Variable-radius Poisson-disk fill. Every pair keeps `buffer + gap` between edges, and
+   * the gap is searched so the fill saturates at about `count` dots: the field is covered
+   * evenly instead of one region packing tight. A small surplus is then thinned at random
+   * back to the size quotas. Never places more than `count`.
+   * @param {number} count
+   * @returns {number} how many dots were placed
+   */
+  #spawnPoisson(count) {
+    const spawn = this.#spawnParams();
+    const { sizes, quotas } = this.#sizeQuotas(count, spawn);
+    const cap = Math.ceil(count * POISSON_HEADROOM);
+    /** @type {number[]} */
+    const classes = [];
+    this.#sizeQuotas(cap, spawn).quotas.forEach((q, c) => {
+      for (let k = 0; k < q; k++) classes.push(c);
+    });
+    if (count <= 0) return this.#tryPoisson(classes, sizes, quotas, spawn, 0);
+
+    // Rough starting gap: saturated Poisson-disk packings leave about 1.3 D² per dot.
+    let meanR = 0;
+    for (let c = 0; c < sizes.length; c++) meanR += (sizes[c] * quotas[c]) / count;
+    const area = Math.max(1, this.#width - 2 * spawn.edgePad) * Math.max(1, this.#height - spawn.excludeTop - 2 * spawn.edgePad);
+    let gap = Math.max(0, Math.sqrt(area / (1.3 * count)) - (2 * meanR + spawn.buffer));
+
+    // Bisect for the widest gap that still fits every dot.
+    let lo = 0;
+    /** @type {number | null} */
+    let hi = null;
+    let lastGap = -1;
+    for (let pass = 0; pass < POISSON_PASSES; pass++) {
+      lastGap = gap;
+      if (this.#tryPoisson(classes, sizes, quotas, spawn, gap) === count) lo = gap;
+      else hi = gap;
+      if (hi != null && hi - lo < Math.max(0.25 * this.#dpr, 0.05 * hi)) break;
+      gap = hi == null ? gap * 1.5 + spawn.buffer : (lo + hi) / 2;
+    }
+    // With no gap that fits everything, the tightest fill is as many as will go.
+    if (lastGap === lo) return this.#dots.count;
+    return this.#tryPoisson(classes, sizes, quotas, spawn, lo);
+  }
+
+  /**
+   * One Bridson pass into the scratch buffer, swapped in afterwards. Size classes are drawn
+   * in shuffled order so sizes mix across the field rather than growing out largest first.
+   * @param {number[]} classes size index per dot to try, up to the headroom cap
+   * @param {number[]} sizes radius per size index
+   * @param {number[]} quotas dots wanted per size index
+   * @param {SpawnParams} spawn
+   * @param {number} gap
+   * @returns {number} how many dots were kept
+   */
+  #tryPoisson(classes, sizes, quotas, spawn, gap) {
+    const order = classes.slice();
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(this.#rand() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+
+    const dots = this.#spawnBuffer;
+    dots.clear();
+    dots.reserve(order.length);
+    this.#hash.configure(this.#width, this.#height, Math.max(6, spawn.cellSize + gap), order.length);
+
+    /** @type {number[]} */
+    const active = [];
+    const { buffer, excludeTop, edgePad } = spawn;
+    while (dots.count < order.length) {
+      const r = sizes[order[dots.count]];
+      if (active.length === 0) {
+        // (Re)seed anywhere still free, which also reaches areas cut off by exclusion rects.
+        let seeded = -1;
+        for (let tries = 0; tries < POISSON_CANDIDATES && seeded === -1; tries++) {
+          const x = lerp(r + edgePad, this.#width - r - edgePad, this.#rand());
+          const y = lerp(excludeTop + r + edgePad, this.#height - r - edgePad, this.#rand());
+          if (this.#isFree(dots, x, y, r, spawn, gap)) seeded = this.#pushSpawned(dots, x, y, r);
+        }
+        if (seeded === -1) break;
+        active.push(seeded);
+        continue;
+      }
+
+      const k = Math.floor(this.#rand() * active.length);
+      const a = active[k];
+      const base = dots.r[a] + r + buffer + gap;
+      let placed = -1;
+      for (let tries = 0; tries < POISSON_CANDIDATES && placed === -1; tries++) {
+        // Sample the annulus [base, 2·base] around the active dot.
+        const dist = base * (1 + this.#rand());
+        const angle = this.#rand() * Math.PI * 2;
+        const x = dots.x[a] + Math.cos(angle) * dist;
+        const y = dots.y[a] + Math.sin(angle) * dist;
+        if (this.#isFree(dots, x, y, r, spawn, gap)) placed = this.#pushSpawned(dots, x, y, r);
+      }
+      if (placed !== -1) {
+        active.push(placed);
+        continue;
+      }
+      active[k] = active[active.length - 1];
+      active.pop();
+      // A big dot that didn't fit here goes further back in the queue, so smaller ones
+      // still fill the gap it couldn't take.
+      const rest = order.length - dots.count;
+      if (rest > 1) {
+        const j = dots.count + 1 + Math.floor(this.#rand() * (rest - 1));
+        if (sizes[order[j]] < r) [order[dots.count], order[j]] = [order[j], order[dots.count]];
+      }
+    }
+
+    this.#thinToQuotas(dots, order, quotas);
+    this.#spawnBuffer = this.#dots;
+    this.#dots = dots;
+    return dots.count;
+  }
+
+  /**
+   * Removes random dots from over-quota size classes until at most the quota total is left.
+   * @param {DotBuffer} dots
+   * @param {number[]} order size index of each dot, by dot index
+   * @param {number[]} quotas
+   */
+  #thinToQuotas(dots, order, quotas) {
+    const n = dots.count;
+    let surplus = n - quotas.reduce((a, b) => a + b, 0);
+    if (surplus <= 0) return;
+    const have = new Array(quotas.length).fill(0);
+    for (let i = 0; i < n; i++) have[order[i]]++;
+    const removed = new Uint8Array(n);
+    // Visit in random order so removals don't follow placement order.
+    const visit = Array.from({ length: n }, (_, i) => i);
+    for (let i = n - 1; i > 0; i--) {
+      const j = Math.floor(this.#rand() * (i + 1));
+      [visit[i], visit[j]] = [visit[j], visit[i]];
+    }
+    for (const i of visit) {
+      if (surplus === 0) break;
+      const c = order[i];
+      if (have[c] <= quotas[c]) continue;
+      removed[i] = 1;
+      have[c]--;
+      surplus--;
+    }
+    // Highest index first, so swapRemove only ever moves dots that stay.
+    for (let i = n - 1; i >= 0; i--) if (removed[i]) dots.swapRemove(i);
+  }
+
+  /**
+   * Fills the scratch buffer with up to `target` dots and swaps it in.
+   * @param {number} target
+   * @returns {number} how many dots were placed
+   */
+  #trySpawnDots(target) {
+    const spawn = this.#spawnParams();
+    const radii = this.#spawnRadii(target, spawn);
+
+    const dots = this.#spawnBuffer;
+    dots.clear();
+    dots.reserve(target);
+    this.#hash.configure(this.#width, this.#height, spawn.cellSize, target);
+
+    for (const r of radii) this.#placeDot(dots, r, spawn);
+
+    this.#spawnBuffer = this.#dots;
+    this.#dots = dots;
+    return dots.count;
+  }
+
+  /**
+   * Spawn geometry in device pixels, shared by full and incremental spawns.
+   * @returns {SpawnParams}
+   */
+  #spawnParams() {
+    const minR = this.#minRadiusCssPx * this.#dpr;
+    const maxR = this.#maxRadiusCssPx * this.#dpr * 1.06;
+    const buffer = this.#bufferPx * this.#dpr;
+    return {
+      minR,
+      maxR,
+      buffer,
+      cellSize: Math.max(6, 2 * maxR + buffer),
+      excludeTop: this.#excludeTopCssPx * this.#dpr,
+      edgePad: this.#edgePaddingCssPx * this.#dpr,
+      regions: [...this.#exclusionsCssPx, ...this.#trackedExclusionsCssPx].map((g) => scaleRegion(g, this.#dpr)),
+      halos: this.#halosCssPx.map((g) => scaleRegion(g, this.#dpr)),
+      haloWidth: this.#haloWidthCssPx * this.#dpr,
+    };
+  }
+
+  /**
+   * The size buckets, their distribution weights, and how many of `count` dots fall in each.
+   * @param {number} count
+   * @param {SpawnParams} spawn
+   * @returns {{ sizes: number[]; weights: number[]; quotas: number[] }}
+   */
+  #sizeQuotas(count, { minR, maxR }) {
+    const sizes = sizeBuckets(minR, maxR, this.#sizeCount, this.#sizeSpacing);
+    const weights = sizeWeights(this.#distribution, sizes.map((r) => r / this.#dpr));
+    return { sizes, weights, quotas: quotasFromWeights(count, weights) };
+  }
+
+  /**
+   * Radii for `count` new dots, allocated across the size buckets and sorted largest first.
+   * @param {number} count
+   * @param {SpawnParams} spawn
+   */
+  #spawnRadii(count, spawn) {
+    const { sizes, quotas } = this.#sizeQuotas(count, spawn);
+
+    /** @type {number[]} */
+    const radii = [];
+    for (let i = 0; i < sizes.length; i++) {
+      for (let k = 0; k < quotas[i]; k++) radii.push(sizes[i]);
+    }
+    radii.sort((a, b) => b - a);
+    return radii;
+  }
+
+  /**
+   * Rejection-samples a free spot for a dot of radius `r` against the dots already in
+   * `#hash`, then appends it to `dots` and the hash.
+   * @param {DotBuffer} dots
+   * @param {number} r
+   * @param {SpawnParams} spawn
+   * @returns {number} index of the new dot, or -1 if no spot was found
+   */
+  #placeDot(dots, r, spawn) {
+    const { excludeTop, edgePad } = spawn;
+    const perDotAttempts = clampInt(120, 20, 320);
+
+    for (let tries = 0; tries < perDotAttempts; tries++) {
+      const x = lerp(r + edgePad, this.#width - r - edgePad, this.#rand());
+      const y = lerp(excludeTop + r + edgePad, this.#height - r - edgePad, this.#rand());
+      if (this.#isFree(dots, x, y, r, spawn, 0)) return this.#pushSpawned(dots, x, y, r);
+    }
+    return -1;
+  }
+
+  /**
+   * Whether a dot of radius `r` at (x, y) stays inside the spawn area and clear of exclusion
+   * rects and of every dot in `#hash` by `buffer + gap`.
+   * @param {DotBuffer} dots
+   * @param {number} x
+   * @param {number} y
+   * @param {number} r
+   * @param {SpawnParams} spawn
+   * @param {number} gap extra spacing on top of the buffer
+   */
+  #isFree(dots, x, y, r, { buffer, excludeTop, edgePad, regions, halos, haloWidth, minR, maxR }, gap) {
+    if (x < r + edgePad || x > this.#width - r - edgePad) return false;
+    if (y < excludeTop + r + edgePad || y > this.#height - r - edgePad) return false;
+    if (regions.length > 0 && !fitsRegions(regions, x, y, r + buffer, this.#surfaceHit)) return false;
+    if (halos.length > 0) {
+      // Inside a halo only smaller dots fit, and only some of the candidates are kept.
+      const level = this.#haloLevel(halos, haloWidth, x, y);
+      if (level < 1) {
+        if (r > lerp(minR, maxR, lerp(this.#haloSize, 1, level)) + 1e-6) return false;
+        if (this.#rand() >= lerp(this.#haloDensity, 1, level)) return false;
+      }
+    }
+    if (this.#densityMap) {
+      // Brighter areas keep more candidates (and, with `size`, bigger ones).
+      const level = this.#mapLevel(this.#densityMap, x, y);
+      if (this.#densityMapSize && r > lerp(minR, maxR, level) + 1e-6) return false;
+      if (this.#rand() >= level) return false;
+    }
+    const hash = this.#hash;
+    const { head, next } = hash;
+    const cx = hash.cellX(x);
+    const cy = hash.cellY(y);
+    for (let oy = Math.max(0, cy - 1); oy <= Math.min(hash.rows - 1, cy + 1); oy++) {
+      for (let ox = Math.max(0, cx - 1); ox <= Math.min(hash.cols - 1, cx + 1); ox++) {
+        for (let j = head[oy * hash.cols + ox]; j !== -1; j = next[j]) {
+          const dx = x - dots.x[j];
+          const dy = y - dots.y[j];
+          const minDist = r + dots.r[j] + buffer + gap;
+          if (dx * dx + dy * dy < minDist * minDist) return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Appends a freshly spawned dot with seeded drift/stick factors and adds it to `#hash`.
+   * @param {DotBuffer} dots
+   * @param {number} x
+   * @param {number} y
+   * @param {number} r
+   * @returns {number} index of the new dot
+   */
+  #pushSpawned(dots, x, y, r) {
+    const i = dots.push(x, y, r);
+    dots.vx[i] = (this.#rand() - 0.5) * 0.22;
+    dots.vy[i] = (this.#rand() - 0.5) * 0.22;
+    dots.ds[i] = lerp(0.75, 1.25, this.#rand());
+    dots.stick[i] = this.#rand();
+    this.#hash.insert(i, x, y);
+    return i;
+  }
+
+  /**
+   * Where (`x`, `y`) sits in the halos: 0 at or inside the nearest region's surface, easing to
+   * 1 at `width` away. Leaves the nearest surface's outward normal in `#surfaceHit`.
+   * @param {Region[]} halos device pixels
+   * @param {number} width device pixels
+   * @param {number} x
+   * @param {number} y
+   */
+  #haloLevel(halos, width, x, y) {
+    const hit = this.#surfaceHit;
+    let nearest = Infinity;
+    let nx = 0;
+    let ny = 0;
+    for (const halo of halos) {
+      surfaceDistance(halo, x, y, hit);
+      if (hit.d >= nearest) continue;
+      nearest = hit.d;
+      nx = hit.nx;
+      ny = hit.ny;
+    }
+    hit.d = nearest;
+    hit.nx = nx;
+    hit.ny = ny;
+    return smoothstep(clamp(nearest / width, 0, 1));
+  }
+
+  /**
+   * The density map at device-pixel (`x`, `y`), stretched over the area below the top exclusion.
+   * @param {DensityGrid} map
+   * @param {number} x
+   * @param {number} y
+   */
+  #mapLevel(map, x, y) {
+    const top = this.#excludeTopCssPx * this.#dpr;
+    const level = densityAt(map, x / this.#width, (y - top) / Math.max(1, this.#height - top));
+    return this.#densityMapInvert ? 1 - level : level;
+  }
+
+  #pushOutOfExclusions() {
+    this.#pushOutOf(this.#exclusionsCssPx, Infinity);
+    // Tracked elements slide in under settled dots; easing them out reads as flowing around.
+    this.#pushOutOf(this.#trackedExclusionsCssPx, TRACKED_PUSH_CSS_PX * this.#dpr);
+  }
+
+  /**
+   * Moves dots overlapping any exclusion in `regionsCss` out along the surface normal, and dots
+   * outside every inclusion region into the nearest one, by at most `maxStep` device pixels
+   * (`Infinity` puts them straight at the surface). Velocity into the surface is dropped.
+   * @param {Region[]} regionsCss
+   * @param {number} maxStep
+   */
+  #pushOutOf(regionsCss, maxStep) {
+    if (regionsCss.length === 0) return;
+
+    const regions = regionsCss.map((g) => scaleRegion(g, this.#dpr));
+    const confined = regions.some((g) => g.include);
+    const hit = this.#surfaceHit;
+    const buffer = this.#bufferPx * this.#dpr;
+    const { x, y, r, count } = this.#dots;
+    for (let i = 0; i < count; i++) {
+      const pad = r[i] + buffer;
+      for (const region of regions) {
+        if (region.include) continue;
+        surfaceDistance(region, x[i], y[i], hit);
+        if (hit.d >= pad) continue;
+        this.#nudgeAlong(i, hit.nx, hit.ny, Math.min(pad - hit.d + 0.5, maxStep));
+      }
+      if (!confined) continue;
+
+      // Inside any one inclusion region is enough; otherwise head into the nearest.
+      let over = Infinity;
+      let nx = 0;
+      let ny = 0;
+      for (const region of regions) {
+        if (!region.include) continue;
+        surfaceDistance(region, x[i], y[i], hit);
+        if (hit.d + pad >= over) continue;
+        over = hit.d + pad;
+        nx = -hit.nx;
+        ny = -hit.ny;
+        if (over <= 0) break;
+      }
+      if (over > 0) this.#nudgeAlong(i, nx, ny, Math.min(over + 0.5, maxStep));
+    }
+  }
+
+  /**
+   * Moves dot `i` by `step` along the unit vector (`nx`, `ny`) and drops any velocity against it.
+   * @param {number} i
+   * @param {number} nx
+   * @param {number} ny
+   * @param {number} step device pixels
+   */
+  #nudgeAlong(i, nx, ny, step) {
+    const { x, y, vx, vy } = this.#dots;
+    x[i] += nx * step;
+    y[i] += ny * step;
+    const against = vx[i] * nx + vy[i] * ny;
+    if (against < 0) {
+      vx[i] -= against * nx;
+      vy[i] -= against * ny;
+    }
+  }
+
+  /**
+   * The anchor under nav label `i`, in device pixels.
+   * @param {number} i
+   * @returns {Anchor}
+   */
+  #navAnchor(i) {
+    const r = this.#navItemsCssPx[i];
+    const active = i === this.#navActiveItem;
+    const radius = Math.max(NAV_ANCHOR_RADIUS, (r.right - r.left) / 2) * (active ? NAV_ACTIVE_SPREAD : 1);
+    return {
+      x: ((r.left + r.right) / 2) * this.#dpr,
+      y: (r.bottom + NAV_ANCHOR_GAP) * this.#dpr,
+      strength: active ? NAV_ACTIVE_STRENGTH : 0.9,
+      radius: radius * this.#dpr,
+    };
+  }
+
+  #getAnchors() {
+    /** @type {Anchor[]} */
+    const anchors = [];
+
+    // Sections follow scroll, not UI hover, so they pull whether or not reactToUi is on.
+    if (this.#sectionAnchor) {
+      const a = this.#sectionAnchor;
+      anchors.push({
+        x: a.x * this.#dpr,
+        y: a.y * this.#dpr,
+        strength: a.strength,
+        radius: a.radius == null ? undefined : a.radius * this.#dpr,
+      });
+    }
+
+    if (this.#activeSection === 'proof') {
+      anchors.push({ x: this.#width * 0.35, y: this.#height * 0.55, strength: 0.9 });
+      anchors.push({ x: this.#width * 0.65, y: this.#height * 0.55, strength: 0.9 });
+    }
+
+    if (this.#activeSection === 'footer') {
+      anchors.push({ x: this.#width * 0.5, y: this.#height * 0.92, strength: 0.55 });
+    }
+
+    // Nav labels are placed deliberately, so they pull whether or not reactToUi is on too.
+    if (this.#navActive && this.#navItemsCssPx.length > 0) {
+      for (let i = 0; i < this.#navItemsCssPx.length; i++) anchors.push(this.#navAnchor(i));
+    }
+
+    if (!this.#reactToUi) return anchors;
+
+    if (!this.#navActive) {
+      anchors.push({ x: this.#width * 0.5, y: this.#height * 0.06, strength: 0.22 });
+    } else if (this.#navItemsCssPx.length === 0) {
+      // No labels to gather under: three points across the top.
+      anchors.push({ x: this.#width * 0.2, y: this.#height * 0.08, strength: 0.9 });
+      anchors.push({ x: this.#width * 0.5, y: this.#height * 0.08, strength: 0.9 });
+      anchors.push({ x: this.#width * 0.8, y: this.#height * 0.08, strength: 0.9 });
+    }
+
+    if (this.#hotRectCssPx) {
+      const r = this.#hotRectCssPx;
+      anchors.push({
+        x: ((r.left + r.right) / 2) * this.#dpr,
+        y: ((r.top + r.bottom) / 2) * this.#dpr,
+        strength: 1.1,
+      });
+    }
+
+    for (const a of this.#interactiveAnchors.slice(0, 18)) {
+      anchors.push({ x: a.x * this.#dpr, y: a.y * this.#dpr, strength: a.strength });
+    }
+
+    return anchors;
+  }
+
+  #sectionTuning() {
+    const speed = this.#speed;
+    const react = this.#reactToUi;
+
+    // Single baseline: calm drift + optional anchor pull.
+    this.#noise = 0;
+    this.#stability = lerp(0.992, 0.94, speed);
+    this.#maxV = lerp(0.02, 0.42, speed);
+    this.#cohesion = react ? lerp(0.0, 0.08, speed) : 0;
+
+    // Density islands: a section on screen draws the dots in. Its anchor's strength tracks how
+    // much of it is visible, so the island firms up as it scrolls in and lets go as it leaves.
+    if (this.#sectionAnchor || this.#activeSection === 'proof' || this.#activeSection === 'footer') {
+      this.#cohesion = Math.max(this.#cohesion, lerp(SECTION_COHESION[0], SECTION_COHESION[1], speed));
+    }
+    if (this.#navActive && (react || this.#navItemsCssPx.length > 0)) {
+      this.#cohesion = Math.max(this.#cohesion, lerp(NAV_COHESION[0], NAV_COHESION[1], speed));
+    }
+    // Proof reads as stable: heavy damping and a low speed cap.
+    if (this.#activeSection === 'proof') {
+      this.#stability = Math.min(this.#stability, 0.9);
+      this.#maxV *= 0.35;
+    }
+
+    if (this.#gridEnabled) {
+      this.#noise = 0;
+      this.#cohesion = 0;
+      this.#stability = lerp(0.992, 0.965, speed);
+      this.#maxV = lerp(0.25, 1.5, speed);
+    }
+
+    if (this.#dispersedUntilMs != null) {
+      if (this.#timeMs < this.#dispersedUntilMs) {
+        this.#cohesion = 0.02;
+        this.#noise = 0.6;
+      } else {
+        this.#dispersedUntilMs = null;
+      }
+    }
+  }
+
+  /**
+   * Feeds wall-clock time into the accumulator and runs as many fixed ticks as it covers.
+   * Draw with {@link renderPositions} afterwards to interpolate the remainder.
+   * @param {number} elapsedMs
+   */
+  advance(elapsedMs) {
+    this.#accumulatorMs += Math.max(0, elapsedMs);
+    for (let ticks = 0; ticks < MAX_SUBSTEPS && this.#accumulatorMs >= FIXED_STEP_MS; ticks++) {
+      this.#accumulatorMs -= FIXED_STEP_MS;
+      this.#tick();
+    }
+    // Past the cap, drop the backlog instead of trying to catch up.
+    if (this.#accumulatorMs >= FIXED_STEP_MS) this.#accumulatorMs = 0;
+  }
+
+  /**
+   * Runs `count` fixed ticks regardless of wall time (frame-by-frame stepping, tests).
+   * Any partial tick in the accumulator is discarded so the next draw shows the exact state.
+   * @param {number=} count
+   */
+  step(count = 1) {
+    this.#accumulatorMs = 0;
+    for (let i = 0; i < count; i++) this.#tick();
+  }
+
+  /**
+   * Positions blended between the last two ticks by {@link alpha}. The arrays are reused
+   * scratch: draw from them straight away.
+   * @returns {{ x: Float32Array; y: Float32Array; count: number }}
+   */
+  renderPositions() {
+    const { x, y, count } = this.#dots;
+    if (this.#renderX.length < count) {
+      this.#renderX = new Float32Array(this.#dots.capacity);
+      this.#renderY = new Float32Array(this.#dots.capacity);
+    }
+    const t = this.alpha;
+    const px = this.#prevX;
+    const py = this.#prevY;
+    const rx = this.#renderX;
+    const ry = this.#renderY;
+    for (let i = 0; i < count; i++) {
+      rx[i] = px[i] + (x[i] - px[i]) * t;
+      ry[i] = py[i] + (y[i] - py[i]) * t;
+    }
+    return { x: rx, y: ry, count };
+  }
+
+  // Makes the current positions the interpolation origin, so a respawn or restore doesn't
+  // render as a one-tick slide from the old layout.
+  #syncPrevious() {
+    const { x, y, count } = this.#dots;
+    if (this.#prevX.length < count) {
+      this.#prevX = new Float32Array(this.#dots.capacity);
+      this.#prevY = new Float32Array(this.#dots.capacity);
+    }
+    this.#prevX.set(x.subarray(0, count));
+    this.#prevY.set(y.subarray(0, count));
+  }
+
+  #tick() {
+    this.#syncPrevious();
+    const dtMs = FIXED_STEP_MS;
+    const dt = dtMs / 16.6667;
+    this.#timeMs += dtMs;
+    const tNow = this.#timeMs;
+    this.#updateMorph();
+
+    this.#sectionTuning();
+    const dropping = this.#gravityDropUntilMs != null && tNow < this.#gravityDropUntilMs;
+    const gravityActive =
+      this.#gravityEnabled && (this.#gravityActiveUntilMs == null || tNow < this.#gravityActiveUntilMs);
+    if (this.#gravityEnabled && !gravityActive) {
+      this.setGravityEnabled(false);
+    }
+    const { stability, maxV } = this;
+
+    const breathEnabled = this.#breathingEnabled && !this.#reducedMotion && !gravityActive;
+    const breathPeriodMs = 4200;
+    const breathThresholdCss = Math.min(
+      this.#maxRadiusCssPx,
+      Math.max(this.#minRadiusCssPx + 2, this.#maxRadiusCssPx * 0.25)
+    );
+    const breathThresholdR = breathThresholdCss * this.#dpr;
+    const breathT0 = this.#breathStartMs ?? tNow;
+    // Start at midpoint (current size) and move into the downward curve (inward breath).
+    const phase = ((tNow - breathT0) / breathPeriodMs) * Math.PI * 2 + Math.PI;
+    const breath = Math.sin(phase);
+    const exhale = Math.max(0, breath);
+    // Soft-start the exhale force so it ramps up gently and doesn't spike near the peak.
+    const exhaleForce = exhale * exhale;
+
+    const state = this.#tickState;
+    state.dropping = dropping;
+    state.gravityActive = gravityActive;
+    state.breathEnabled = breathEnabled;
+    state.breath = breath;
+    state.breathThresholdR = breathThresholdR;
+
+    const { x, y, vx, vy, r, r0, count } = this.#dots;
+    r.set(r0.subarray(0, count));
+    this.#applyForces(dtMs);
+
+    for (let i = 0; i < count; i++) {
+      vx[i] *= stability;
+      vy[i] *= stability;
+      vx[i] = clamp(vx[i], -maxV, maxV);
+      vy[i] = clamp(vy[i], -maxV, maxV);
+
+      x[i] += vx[i] * this.#dpr * 2.2 * dt;
+      y[i] += vy[i] * this.#dpr * 2.2 * dt;
+
+      const rScaled = r[i];
+      const excludeTop = this.#excludeTopCssPx * this.#dpr;
+      const edgePad = this.#edgePaddingCssPx * this.#dpr;
+      if (x[i] < rScaled) {
+        x[i] = rScaled + edgePad;
+        vx[i] = Math.abs(vx[i]) * 0.5;
+      } else if (x[i] > this.#width - rScaled - edgePad) {
+        x[i] = this.#width - rScaled - edgePad;
+        vx[i] = -Math.abs(vx[i]) * 0.5;
+      }
+      if (y[i] < excludeTop + rScaled + edgePad) {
+        y[i] = excludeTop + rScaled + edgePad;
+        vy[i] = Math.abs(vy[i]) * 0.5;
+      } else if (y[i] > this.#height - rScaled - edgePad) {
+        y[i] = this.#height - rScaled - edgePad;
+        vy[i] = gravityActive ? 0 : -Math.abs(vy[i]) * 0.5;
+      }
+
+      // "Sleep" grounded dots during gravity so the pile doesn't jitter.
+      if (gravityActive) {
+        const bottom = this.#height - rScaled - edgePad;
+        if (y[i] >= bottom - 0.5 * this.#dpr) {
+          if (vy[i] > 0) vy[i] = 0;
+          const speed2 = vx[i] * vx[i] + vy[i] * vy[i];
+          if (speed2 < 0.0009) {
+            vx[i] = 0;
+            vy[i] = 0;
+          } else {
+            const damp = Math.pow(0.72, dt);
+            vx[i] *= damp;
+          }
+        }
+      }
+    }
+
+    this.#pushOutOfExclusions();
+
+    const settling =
+      this.#settleBoostStartMs != null &&
+      this.#settleBoostUntilMs != null &&
+      tNow >= this.#settleBoostStartMs &&
+      tNow < this.#settleBoostUntilMs;
+    const gridTransition =
+      this.#gridEnabled && this.#gridTransitionUntilMs != null && tNow < this.#gridTransitionUntilMs;
+    if (this.#gridTransitionUntilMs != null && tNow >= this.#gridTransitionUntilMs) this.#gridTransitionUntilMs = null;
+
+    const overlapIterations = dropping
+      ? 28
+      : settling
+        ? 16
+        : this.#gridEnabled
+          ? gridTransition || this.#gridSoftCollisions
+            ? 0
+            : 10
+          : breathEnabled
+            ? 4
+            : 2;
+    const pushScale = dropping ? 1.95 : settling ? 1.65 : this.#gridEnabled ? 1.25 : 1;
+    this.#resolveOverlaps(dt, overlapIterations, pushScale, breathEnabled ? exhaleForce : 0, breathThresholdR);
+    this.#pushOutOfExclusions();
+
+    if (this.#dropPending && !dropping) {
+      this.#dropPending = false;
+      this.#settlePending = true;
+      this.#emit('dropend');
+    }
+    if (this.#settlePending && !settling && (this.#settleBoostUntilMs == null || tNow >= this.#settleBoostUntilMs)) {
+      this.#settlePending = false;
+      this.#emit('settled');
+    }
+    if (this.#gridPending && this.#gridReached()) {
+      this.#gridPending = false;
+      this.#emit('gridreached', { count: this.#dots.count });
+    }
+
+    this.#updateFades(dtMs);
+  }
+
+  /**
+   * Eases base radii and speed towards a `transitionTo()` target; `finish` jumps to the end.
+   * Grid homes are laid out again once the new sizes are in place.
+   * @param {boolean=} finish
+   */
+  #updateMorph(finish = false) {
+    if (this.#morphUntilMs == null) return;
+    const span = this.#morphUntilMs - this.#morphStartMs;
+    const t = finish || span <= 0 ? 1 : clamp((this.#timeMs - this.#morphStartMs) / span, 0, 1);
+    const k = smoothstep(t);
+    const { r0, count } = this.#dots;
+    const from = this.#morphFromR;
+    const to = this.#morphToR;
+    for (let i = 0; i < count; i++) r0[i] = lerp(from[i], to[i], k);
+    this.#speed = lerp(this.#morphSpeedFrom, this.#morphSpeedTo, k);
+    if (t < 1) return;
+    this.#morphUntilMs = null;
+    this.#morphMaxR = 0;
+    if (this.#gridEnabled) this.#regrid();
+  }
+
+  /**
+   * Copies dot `i` into the ghost buffer so it can fade out (skipped under reduced motion).
+   * The caller removes it from the field.
+   * @param {number} i
+   */
+  #retire(i) {
+    const ghosts = this.#ghosts;
+    if (this.#reducedMotion || this.#dots.a[i] < MIN_GHOST_ALPHA) return;
+    // Rapid respawns (a slider drag) would otherwise pile up thousands of ghosts.
+    if (ghosts.count >= Math.max(2048, this.#dots.count * 2)) return;
+    ghosts.pushFrom(this.#dots, i);
+  }
+
+  /** @param {number} dtMs */
+  #updateFades(dtMs) {
+    const step = dtMs / FADE_MS;
+    const { a, count } = this.#dots;
+    for (let i = 0; i < count; i++) {
+      if (a[i] < 1) a[i] = Math.min(1, a[i] + step);
+    }
+    const ghosts = this.#ghosts;
+    for (let i = ghosts.count - 1; i >= 0; i--) {
+      ghosts.a[i] -= step;
+      if (ghosts.a[i] <= 0) ghosts.swapRemove(i);
+    }
+  }
+
+  /** @param {number} dtMs */
+  #applyForces(dtMs) {
+    const dots = this.#dots;
+    const count = dots.count;
+    const ctx = this.#forceContext;
+    const edgePad = this.#edgePaddingCssPx * this.#dpr;
+    ctx.dt = dtMs / 16.6667;
+    ctx.dtMs = dtMs;
+    ctx.timeMs = this.#timeMs;
+    ctx.dpr = this.#dpr;
+    ctx.width = this.#width;
+    ctx.height = this.#height;
+    ctx.bounds.left = edgePad;
+    ctx.bounds.top = this.#excludeTopCssPx * this.#dpr + edgePad;
+    ctx.bounds.right = this.#width - edgePad;
+    ctx.bounds.bottom = this.#height - edgePad;
+
+    for (const force of this.#forces) {
+      if (force.weight !== force.target) {
+        const step = force.blendMs > 0 ? (dtMs / force.blendMs) * Math.max(force.strength, 1e-6) : Infinity;
+        force.weight =
+          force.weight < force.target
+            ? Math.min(force.target, force.weight + step)
+            : Math.max(force.target, force.weight - step);
+      }
+      if (force.weight <= 0) continue;
+      if (force.prepare && force.prepare(ctx) === false) continue;
+
+      const w = force.weight;
+      if (w === 1) {
+        for (let i = 0; i < count; i++) force.fn(i, dots, ctx);
+        continue;
+      }
+
+      // Partially weighted: run at full strength, then keep only `w` of the change.
+      const from = this.#blendFrom;
+      from.copyFrom(dots);
+      for (let i = 0; i < count; i++) force.fn(i, dots, ctx);
+      const { x, y, vx, vy, r } = dots;
+      for (let i = 0; i < count; i++) {
+        x[i] = from.x[i] + (x[i] - from.x[i]) * w;
+        y[i] = from.y[i] + (y[i] - from.y[i]) * w;
+        vx[i] = from.vx[i] + (vx[i] - from.vx[i]) * w;
+        vy[i] = from.vy[i] + (vy[i] - from.vy[i]) * w;
+        r[i] = from.r[i] + (r[i] - from.r[i]) * w;
+      }
+    }
+  }
+
+  /**
+   * The behaviours the field ships with, expressed as ordinary forces. Each one's `prepare`
+   * decides from the sim state whether it runs this tick.
+   * @returns {ForceEntry[]}
+   */
+  #builtinForces() {
+    const state = this.#tickState;
+
+    /**
+     * @param {string} id
+     * @param {ForcePrepare} prepare
+     * @param {ForceFn} fn
+     * @returns {ForceEntry}
+     */
+    const builtin = (id, prepare, fn) => ({ id, fn, prepare, builtin: true, strength: 1, weight: 1, target: 1, blendMs: 0 });
+
+    return [
+      builtin(
+        'breathing',
+        () => state.breathEnabled,
+        (i, { r, r0 }, ctx) => {
+          if (r0[i] < state.breathThresholdR) return;
+          r[i] = Math.max(0.5 * ctx.dpr, r0[i] * (1 + 0.08 * state.breath));
+        }
+      ),
+
+      builtin(
+        'jitter',
+        () => {
+          state.noise = this.noise;
+          return state.noise > 0;
+        },
+        (i, { vx, vy }, ctx) => {
+          const jitter = (ctx.random() - 0.5) * state.noise;
+          vx[i] += jitter * 0.22 * ctx.dt;
+          vy[i] += jitter * 0.22 * ctx.dt;
+        }
+      ),
+
+      builtin(
+        'drift',
+        (ctx) => {
+          const speed = this.#speed;
+          if (this.#gridEnabled || state.dropping || state.gravityActive || speed <= 0) return false;
+          const driftT = ctx.timeMs - this.#driftOriginMs;
+          const periodMs = 8000;
+          const s0 = Math.floor(driftT / periodMs);
+          const tt = (driftT - s0 * periodMs) / periodMs;
+          const seedOffset = (this.#seed % 65521) * 131;
+          state.driftSeed0 = s0 + seedOffset;
+          state.driftSeed1 = s0 + 1 + seedOffset;
+          state.driftMix = smoothstep(tt);
+          state.driftBandSeed = state.driftSeed0 * 8191 + 17;
+          state.driftScale = 1 / (520 * ctx.dpr);
+          state.driftForce = lerp(0, 0.095, speed) * ctx.dpr;
+          // The footer dissolves: drift leans gently downward while it's the active section.
+          state.driftSink = this.#activeSection === 'footer' ? state.driftForce * 0.4 : 0;
+          state.minR = this.#minRadiusCssPx * ctx.dpr;
+          state.maxR = this.#maxRadiusCssPx * ctx.dpr * 1.06;
+          return true;
+        },
+        (i, { x, y, vx, vy, r0, ds }, ctx) => {
+          const sx = x[i] * state.driftScale;
+          const sy = y[i] * state.driftScale;
+          const n1a = noise2(sx, sy, state.driftSeed0);
+          const n1b = noise2(sx, sy, state.driftSeed1);
+          const n2a = noise2(sx + 19.17, sy - 11.83, state.driftSeed0 + 101);
+          const n2b = noise2(sx + 19.17, sy - 11.83, state.driftSeed1 + 101);
+          const dirX = lerp(n1a, n1b, state.driftMix) - 0.5;
+          const dirY = lerp(n2a, n2b, state.driftMix) - 0.5;
+          const len = Math.sqrt(dirX * dirX + dirY * dirY) || 1;
+
+          const bandA = noise2(sx - 7.3, sy + 5.1, state.driftBandSeed);
+          const bandB = noise2(sx - 7.3, sy + 5.1, state.driftBandSeed + 1);
+          const band = lerp(bandA, bandB, state.driftMix);
+          const speed = lerp(0.65, 1.25, band) * ds[i];
+          const fx = (dirX / len) * state.driftForce * speed;
+          const fy = (dirY / len) * state.driftForce * speed + state.driftSink;
+          const denom = Math.max(1e-6, state.maxR - state.minR);
+          const t = clamp((r0[i] - state.minR) / denom, 0, 1);
+          const sizeBias = lerp(0.6, 1.025, t);
+          if (this.#physicsEnabled) {
+            const mass = 1 + r0[i] * r0[i] * 0.025;
+            vx[i] += (fx / mass) * sizeBias * ctx.dt;
+            vy[i] += (fy / mass) * sizeBias * ctx.dt;
+          } else {
+            vx[i] += fx * sizeBias * ctx.dt;
+            vy[i] += fy * sizeBias * ctx.dt;
+          }
+        }
+      ),
+
+      builtin(
+        'gravity',
+        () => state.gravityActive,
+        (i, { y, vx, vy }, ctx) => {
+          // Gravity drop is positional so all dots fall at the same speed regardless of size.
+          const baseline = Math.max(0.35, this.#speed);
+          const dropPxPerSec = state.dropping ? lerp(0, 9000, baseline) : lerp(0, 240, baseline);
+          y[i] += dropPxPerSec * (ctx.dtMs / 1000) * ctx.dpr;
+          vy[i] = 0;
+          vx[i] *= Math.pow(0.94, ctx.dt);
+        }
+      ),
+
+      builtin(
+        'cohesion',
+        () => {
+          state.anchors = state.dropping || state.gravityActive ? [] : this.#getAnchors();
+          state.cohesion = this.cohesion;
+          const item = this.#navActiveItem;
+          state.hold =
+            this.#navActive && item != null && item >= 0 && item < this.#navItemsCssPx.length
+              ? this.#navAnchor(item)
+              : null;
+          return state.anchors.length > 0;
+        },
+        (i, { x, y, vx, vy }, ctx) => {
+          // The active nav item holds the dots it has gathered stiller than the rest.
+          const hold = state.hold;
+          if (hold && hold.radius) {
+            const hx = x[i] - hold.x;
+            const hy = y[i] - hold.y;
+            if (hx * hx + hy * hy < hold.radius * hold.radius) {
+              const damp = Math.pow(NAV_ACTIVE_DAMPING, ctx.dt);
+              vx[i] *= damp;
+              vy[i] *= damp;
+            }
+          }
+          let pullX = 0;
+          let pullY = 0;
+          for (const a of state.anchors) {
+            const dx = a.x - x[i];
+            const dy = a.y - y[i];
+            const soft = a.radius ? a.radius * a.radius : 1;
+            const w = (a.strength * (a.radius || 1)) / (dx * dx + dy * dy + soft);
+            pullX += dx * w;
+            pullY += dy * w;
+          }
+          vx[i] += pullX * state.cohesion * ctx.dt;
+          vy[i] += pullY * state.cohesion * ctx.dt;
+        }
+      ),
+
+      builtin(
+        'grid',
+        () => this.#gridEnabled && !state.dropping && !state.gravityActive,
+        (i, { x, y, vx, vy, ghx, ghy, gd, home }, ctx) => {
+          if (!home[i] || ctx.timeMs - this.#gridAssignedMs < gd[i]) return;
+          // Use a first-order "snap" (exponential decay) instead of a stiff spring.
+          // This avoids oscillation/vibration at high pull strengths.
+          const dx = ghx[i] - x[i];
+          const dy = ghy[i] - y[i];
+          const rate = Math.max(0.001, this.#gridPull);
+          const t = 1 - Math.exp(-rate * (ctx.dtMs / 1000));
+          x[i] += dx * t;
+          y[i] += dy * t;
+          const damp = Math.pow(0.2, ctx.dt);
+          vx[i] *= damp;
+          vy[i] *= damp;
+
+          if (Math.abs(dx) < 0.25 * ctx.dpr && Math.abs(dy) < 0.25 * ctx.dpr) {
+            x[i] = ghx[i];
+            y[i] = ghy[i];
+            vx[i] = 0;
+            vy[i] = 0;
+          }
+        }
+      ),
+
+      builtin(
+        'halo',
+        (ctx) => {
+          if (this.#halosCssPx.length === 0 || state.dropping || state.gravityActive) return false;
+          state.halos = this.#halosCssPx.map((g) => scaleRegion(g, ctx.dpr));
+          state.haloWidth = this.#haloWidthCssPx * ctx.dpr;
+          state.haloForce = HALO_FORCE * this.#haloPush * ctx.dpr;
+          return true;
+        },
+        (i, { x, y, vx, vy }, ctx) => {
+          const level = this.#haloLevel(state.halos, state.haloWidth, x[i], y[i]);
+          if (level >= 1) return;
+          const near = 1 - level;
+          const { nx, ny } = this.#surfaceHit;
+          vx[i] += nx * state.haloForce * near * ctx.dt;
+          vy[i] += ny * state.haloForce * near * ctx.dt;
+          const damp = Math.pow(1 - HALO_DAMPING * (1 - this.#haloSpeed) * near, ctx.dt);
+          vx[i] *= damp;
+          vy[i] *= damp;
+        }
+      ),
+
+      builtin(
+        'density',
+        (ctx) => {
+          const map = this.#densityMap;
+          if (!map || this.#densityMapStrength <= 0 || this.#gridEnabled || state.dropping || state.gravityActive) {
+            return false;
+          }
+          state.mapForce = DENSITY_MAP_FORCE * this.#densityMapStrength * ctx.dpr;
+          // One grid cell either way, in device pixels.
+          const top = this.#excludeTopCssPx * ctx.dpr;
+          state.mapStepX = ctx.width / map.cols;
+          state.mapStepY = Math.max(1, ctx.height - top) / map.rows;
+          return true;
+        },
+        (i, { x, y, vx, vy }, ctx) => {
+          const map = /** @type {DensityGrid} */ (this.#densityMap);
+          const level = this.#mapLevel(map, x[i], y[i]);
+          if (level >= 1) return;
+          const sx = state.mapStepX;
+          const sy = state.mapStepY;
+          const gx = (this.#mapLevel(map, x[i] + sx, y[i]) - this.#mapLevel(map, x[i] - sx, y[i])) / 2;
+          const gy = (this.#mapLevel(map, x[i], y[i] + sy) - this.#mapLevel(map, x[i], y[i] - sy)) / 2;
+          const slope = Math.hypot(gx, gy);
+          if (slope < 1e-6) return;
+          // Up the slope, harder the dimmer it is here; flat areas (bright or dim) are left be.
+          const push = state.mapForce * (1 - level) * Math.min(1, slope / DENSITY_MAP_SLOPE);
+          vx[i] += (gx / slope) * push * ctx.dt;
+          vy[i] += (gy / slope) * push * ctx.dt;
+        }
+      ),
+
+      builtin(
+        'pointer',
+        (ctx) => {
+          const reach = this.#pointerRadiusCssPx;
+          const pointers = state.pointers;
+          pointers.length = 0;
+          for (const p of this.#pointers.values()) {
+            let dx = p.x - p.lastX;
+            let dy = p.y - p.lastY;
+            p.lastX = p.x;
+            p.lastY = p.y;
+            // A jump past the reach (focus moving to another control) isn't a drag.
+            if (dx * dx + dy * dy > reach * reach) dx = dy = 0;
+            pointers.push({ x: p.x * ctx.dpr, y: p.y * ctx.dpr, dx: dx * ctx.dpr, dy: dy * ctx.dpr });
+          }
+          if (this.#pointerMode === 'off' || pointers.length === 0 || state.dropping || state.gravityActive) {
+            return false;
+          }
+          state.pointerR = reach * ctx.dpr;
+          // Like gravity, the push is positional so it reads the same at any speed setting.
+          state.pointerPush = (this.#pointerMode === 'repel' ? 5 : 3) * this.#pointerStrength * ctx.dpr;
+          return true;
+        },
+        (i, { x, y }, ctx) => {
+          const reach = state.pointerR;
+          const mode = this.#pointerMode;
+          for (const p of state.pointers) {
+            const dx = x[i] - p.x;
+            const dy = y[i] - p.y;
+            const d2 = dx * dx + dy * dy;
+            if (d2 >= reach * reach) continue;
+            const d = Math.sqrt(d2);
+            const w = pointerFalloff(this.#pointerFalloff, 1 - d / reach);
+            if (mode === 'sweep') {
+              // Never faster than the pointer itself, so dots are pushed rather than flung.
+              const carry = Math.min(1, w * this.#pointerStrength);
+              x[i] += p.dx * carry;
+              y[i] += p.dy * carry;
+            } else if (d > 1e-3) {
+              const move = w * state.pointerPush * ctx.dt;
+              const step = mode === 'repel' ? move : -Math.min(move, d);
+              x[i] += (dx / d) * step;
+              y[i] += (dy / d) * step;
+            }
+          }
+        }
+      ),
+    ];
+  }
+
+  #gridReached() {
+    const { x, y, ghx, ghy, home, count } = this.#dots;
+    const tolerance = 0.5 * this.#dpr;
+    for (let i = 0; i < count; i++) {
+      if (!home[i]) continue;
+      if (Math.abs(x[i] - ghx[i]) > tolerance || Math.abs(y[i] - ghy[i]) > tolerance) return false;
+    }
+    return true;
+  }
+
+  /**
+   * @param {SimEventType} type
+   * @param {Record<string, any>=} detail
+   */
+  #emit(type, detail = {}) {
+    this.#events.push({ type, detail });
+  }
+
+  /**
+   * @param {number} dt
+   * @param {number} iterations
+   * @param {number} pushScale
+   * @param {number} breathExhale
+   * @param {number} breathThresholdR
+   */
+  #resolveOverlaps(dt, iterations = 2, pushScale = 1, breathExhale = 0, breathThresholdR = Infinity) {
+    const dots = this.#dots;
+    const count = dots.count;
+    if (count < 2) return;
+    const { x, y, vx, vy, r, r0 } = dots;
+    const stickiness = dots.stick;
+
+    const maxR = Math.max(this.#maxRadiusCssPx * this.#dpr * 1.06, this.#morphMaxR);
+    const maxRequired = 2 * maxR + this.#bufferPx * this.#dpr;
+    const cellSize = Math.max(6, maxRequired);
+    const excludeTop = this.#excludeTopCssPx * this.#dpr;
+    const edgePad = this.#edgePaddingCssPx * this.#dpr;
+
+    // Grid mode is a deterministic layout: disable "stickiness" physics so dots don't form clusters.
+    const physics = this.#physicsEnabled && !this.#gravityEnabled && !this.#gridEnabled;
+    const breathing = this.#breathingEnabled;
+    const gridSnap = this.#gridEnabled;
+    const allowCoupling = !breathing;
+    const adhesionBand = physics ? 6 * this.#dpr : 0;
+    const breathBand = breathExhale > 0 ? 18 * this.#dpr : 0;
+    const bufferPx = (gridSnap ? 0 : this.#bufferPx) * this.#dpr;
+    const minDistScale = gridSnap ? 0.9 : 1;
+
+    const hash = this.#hash;
+    hash.configure(this.#width, this.#height, cellSize, count);
+    const { head, next } = hash;
+
+    for (let iter = 0; iter < iterations; iter++) {
+      hash.rebuild(dots);
+
+      for (let i = 0; i < count; i++) {
+        const cx = hash.cellX(x[i]);
+        const cy = hash.cellY(y[i]);
+
+        for (let oy = Math.max(0, cy - 1); oy <= Math.min(hash.rows - 1, cy + 1); oy++) {
+          for (let ox = Math.max(0, cx - 1); ox <= Math.min(hash.cols - 1, cx + 1); ox++) {
+            for (let j = head[oy * hash.cols + ox]; j !== -1; j = next[j]) {
+              if (j === i) continue;
+              if (x[j] < x[i]) continue;
+              if (x[j] === x[i] && y[j] <= y[i]) continue;
+
+              const dx = x[j] - x[i];
+              const dy = y[j] - y[i];
+              const dist2 = dx * dx + dy * dy;
+              const minDist = (r[i] + r[j] + bufferPx) * minDistScale;
+              const minDist2 = minDist * minDist;
+              const stickRaw = physics ? (stickiness[i] + stickiness[j]) * 0.5 : 0;
+              const stick = breathing || gridSnap ? 0 : stickRaw;
+              const restitution = !physics || gridSnap ? 0 : breathing ? 0.06 : lerp(1.25, 0.05, stick);
+              const friction = !physics || gridSnap ? 1 : breathing ? 0.9 : lerp(0.06, 0.7, stick);
+              const adhesionStrength = !physics || gridSnap || breathing ? 0 : 0.05 * stick;
+              const coupleStrength = !physics || gridSnap || !allowCoupling ? 0 : 0.9 * stick;
+              if (dist2 >= minDist2) {
+                if (breathBand > 0) {
+                  const band2 = (minDist + breathBand) * (minDist + breathBand);
+                  if (dist2 < band2 && (r0[i] >= breathThresholdR || r0[j] >= breathThresholdR)) {
+                    const dist = Math.sqrt(Math.max(1e-6, dist2));
+                    const nx = dx / dist;
+                    const ny = dy / dist;
+                    const gap = dist - minDist;
+                    const t = clamp(1 - gap / breathBand, 0, 1);
+                    // Progressive "exhale" pressure: gently separate nearby dots as the breathing dot expands,
+                    // so we don't get a single snap when the radius peaks.
+                    const push = breathExhale * t * 0.55 * this.#dpr * dt;
+                    x[i] -= nx * push;
+                    y[i] -= ny * push;
+                    x[j] += nx * push;
+                    y[j] += ny * push;
+                  }
+                }
+                const band2 = (minDist + adhesionBand) * (minDist + adhesionBand);
+                if (dist2 < band2) {
+                  const dist = Math.sqrt(Math.max(1e-6, dist2));
+                  const nx = dx / dist;
+                  const ny = dy / dist;
+                  const gap = dist - minDist;
+
+                  if (adhesionStrength > 0) {
+                    const pull = clamp(adhesionStrength * (1 - gap / adhesionBand), 0, adhesionStrength);
+                    vx[i] += nx * pull * dt;
+                    vy[i] += ny * pull * dt;
+                    vx[j] -= nx * pull * dt;
+                    vy[j] -= ny * pull * dt;
+                  }
+
+                  // "Attachment": suppress relative jitter so clusters move as a unit.
+                  if (coupleStrength > 0.001) {
+                    const avgVx = (vx[i] + vx[j]) * 0.5;
+                    const avgVy = (vy[i] + vy[j]) * 0.5;
+                    const t = clamp(coupleStrength * (1 - gap / adhesionBand), 0, coupleStrength);
+                    vx[i] = lerp(vx[i], avgVx, t);
+                    vy[i] = lerp(vy[i], avgVy, t);
+                    vx[j] = lerp(vx[j], avgVx, t);
+                    vy[j] = lerp(vy[j], avgVy, t);
+                  }
+                }
+                continue;
+              }
+
+              const dist = Math.sqrt(Math.max(1e-6, dist2));
+              const overlap = minDist - dist;
+              const nx = dx / dist;
+              const ny = dy / dist;
+              const push = overlap * 0.5 * clamp(pushScale, 0.5, 2);
+
+              x[i] -= nx * push;
+              y[i] -= ny * push;
+              x[j] += nx * push;
+              y[j] += ny * push;
+
+              if (physics) {
+                const rvx = vx[j] - vx[i];
+                const rvy = vy[j] - vy[i];
+                const vn = rvx * nx + rvy * ny;
+                if (vn < 0) {
+                  const impulse = -(1 + restitution) * vn * 0.5;
+                  vx[i] -= impulse * nx;
+                  vy[i] -= impulse * ny;
+                  vx[j] += impulse * nx;
+                  vy[j] += impulse * ny;
+                }
+
+                const tvx = rvx - vn * nx;
+                const tvy = rvy - vn * ny;
+                vx[i] += tvx * (0.5 - friction * 0.5);
+                vy[i] += tvy * (0.5 - friction * 0.5);
+                vx[j] -= tvx * (0.5 - friction * 0.5);
+                vy[j] -= tvy * (0.5 - friction * 0.5);
+
+                const dampBase = lerp(0.99, 0.94, friction);
+                const damp = Math.pow(dampBase, dt);
+                vx[i] *= damp;
+                vy[i] *= damp;
+                vx[j] *= damp;
+                vy[j] *= damp;
+              }
+
+              if (gridSnap) {
+                const snapDamp = Math.pow(0.55, dt);
+                vx[i] *= snapDamp;
+                vy[i] *= snapDamp;
+                vx[j] *= snapDamp;
+                vy[j] *= snapDamp;
+              }
+            }
+          }
+        }
+      }
+    }
+
+    for (let i = 0; i < count; i++) {
+      const rScaled = r[i];
+      x[i] = clamp(x[i], rScaled + edgePad, this.#width - rScaled - edgePad);
+      y[i] = clamp(y[i], excludeTop + rScaled + edgePad, this.#height - rScaled - edgePad);
+    }
+
+    this.#pushOutOfExclusions();
+  }
+
+  #rand() {
+    this.#rngState = (this.#rngState + 0x6d2b79f5) >>> 0;
+    return mulberry32(this.#rngState);
+  }
+
+  get cohesion() {
+    return this.#cohesion;
+  }
+  get stability() {
+    return this.#stability;
+  }
+  get noise() {
+    return this.#noise;
+  }
+  get maxV() {
+    return this.#maxV;
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * Worker entry for {@link WorkerDotField}: runs a {@link DotField} against the transferred
+ * OffscreenCanvas so physics and drawing stay off the main thread.
+ *
+ * Protocol (host → worker):
+ *   { type: 'init', canvas, options }       once, with the OffscreenCanvas transferred
+ *   { type: 'call', method, args }          fire-and-forget setter/action
+ *   { type: 'request', id, method, args }   answered with { type: 'response', id, result | error }
+ *
+ * Field events are forwarded as { type: 'event', name, detail }. A failed init, or a call that
+ * throws, is reported as { type: 'error', message, method? } (`method` set for calls).
+ */
+
+import { DotField, FIELD_EVENTS } from './dotField.js?v=2025-12-13-112';
+
+const CALLS = new Set([
+  'setSeed',
+  'setReducedMotion',
+  'setNavActive',
+  'setNavItems',
+  'setActiveSection',
+  'setSectionAnchor',
+  'setHotRect',
+  'setInteractiveAnchors',
+  'setPointers',
+  'setDensityScalar',
+  'setDotCount',
+  'setDensity',
+  'setMinRadius',
+  'setMaxRadius',
+  'setSizeCount',
+  'setDistribution',
+  'setSizeSpacing',
+  'setSpawnStrategy',
+  'setAutoFitDensity',
+  'transitionTo',
+  'setReactToUi',
+  'setPointerMode',
+  'setSpeed',
+  'setBreathingEnabled',
+  'setGridEnabled',
+  'setGridLayout',
+  'setGridAssignment',
+  'setGridArrangement',
+  'setGridStagger',
+  'setGravityEnabled',
+  'dropToBottom',
+  'setTopExclusion',
+  'setExclusionRects',
+  'setExclusionShapes',
+  'setTrackedExclusions',
+  'setHalos',
+  'setHaloOptions',
+  'setDensityMap',
+  'removeForce',
+  'setForceEnabled',
+  'restoreSnapshot',
+  'invertWithDispersion',
+  'heroIntro',
+  'disperse',
+  'start',
+  'pause',
+  'resume',
+  'restart',
+  'step',
+  'stop',
+  'resize',
+  'setHidden',
+]);
+
+const REQUESTS = new Set(['getSnapshot', 'toBlob', 'setDensityModel', 'addForce']);
+
+/** @type {DotField | null} */
+let field = null;
+
+self.addEventListener('message', async (event) => {
+  const msg = event.data;
+  if (msg.type === 'init') {
+    try {
+      field = new DotField(msg.canvas, msg.options);
+    } catch (err) {
+      self.postMessage({ type: 'error', message: String(err?.message ?? err) });
+      return;
+    }
+    for (const name of FIELD_EVENTS) {
+      field.addEventListener(name, (event) => {
+        self.postMessage({ type: 'event', name, detail: /** @type {CustomEvent} */ (event).detail });
+      });
+    }
+    return;
+  }
+  if (!field) {
+    // Init failed (or never came): calls have nowhere to go, but requests are still answered.
+    if (msg.type === 'request') self.postMessage({ type: 'response', id: msg.id, error: 'Dot field is not initialised' });
+    return;
+  }
+
+  if (msg.type === 'call') {
+    if (!CALLS.has(msg.method)) return;
+    try {
+      field[msg.method](...msg.args);
+    } catch (err) {
+      self.postMessage({ type: 'error', method: msg.method, message: String(err?.message ?? err) });
+    }
+    return;
+  }
+
+  if (msg.type === 'request') {
+    if (!REQUESTS.has(msg.method)) {
+      self.postMessage({ type: 'response', id: msg.id, error: `Unknown method: ${msg.method}` });
+      return;
+    }
+    try {
+      const result = await field[msg.method](...msg.args);
+      self.postMessage({ type: 'response', id: msg.id, result });
+    } catch (err) {
+      self.postMessage({ type: 'response', id: msg.id, error: String(err?.message ?? err) });
+    }
+  }
+});
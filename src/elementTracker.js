@@ -0,0 +1,169 @@
+/**
+ * Follows DOM elements' viewport shapes as they resize, move, scroll, open and close, reporting
+ * them at most once a frame. While a CSS transition or animation runs on (or inside) an element
+ * it is measured every frame, since transforms move it without any other notice. Backs `excludeElements()` and `haloElements()` on both field
+ * implementations, which measure on the main thread either way.
+ *
+ * @typedef {import('./regions.js').Region} Region
+ * @typedef {'rect' | 'rounded' | 'circle' | 'ellipse'} ElementShape
+ *   How an element's box becomes a shape: as is, with its own `border-radius` (the top-left
+ *   corner's, applied to all four), or the circle or ellipse inscribed in it.
+ */
+
+/**
+ * @param {Element} el
+ * @param {DOMRect} r
+ * @param {ElementShape} shape
+ * @param {number} padding
+ * @returns {Region}
+ */
+function elementShape(el, r, shape, padding) {
+  const cx = (r.left + r.right) / 2;
+  const cy = (r.top + r.bottom) / 2;
+  if (shape === 'circle') return { type: 'circle', x: cx, y: cy, r: Math.min(r.width, r.height) / 2 + padding };
+  if (shape === 'ellipse') return { type: 'ellipse', x: cx, y: cy, rx: r.width / 2 + padding, ry: r.height / 2 + padding };
+  const rect = { type: /** @type {const} */ ('rect'), left: r.left - padding, top: r.top - padding, right: r.right + padding, bottom: r.bottom + padding };
+  if (shape !== 'rounded') return rect;
+  // Only the horizontal radius of the first corner; percentages are of the shorter side here.
+  const value = getComputedStyle(el).borderTopLeftRadius.split(' ')[0];
+  const radius = value.endsWith('%') ? (parseFloat(value) / 100) * Math.min(r.width, r.height) : parseFloat(value) || 0;
+  return radius > 0 ? { ...rect, radius: radius + padding } : rect;
+}
+
+/**
+ * @param {Element[]} elements
+ * @param {{ padding: number; shape: ElementShape }} options `padding` is CSS pixels added on
+ *   every side
+ * @param {(shapes: Region[]) => void} onChange called with the padded shapes of the elements
+ *   on screen (hidden ones measure empty and are left out), only when they changed
+ * @returns {() => void} stops tracking
+ */
+export function trackElementShapes(elements, { padding, shape }, onChange) {
+  let scheduled = false;
+  let stopped = false;
+  let lastKey = '';
+
+  function measure() {
+    scheduled = false;
+    if (stopped) return;
+    /** @type {Region[]} */
+    const shapes = [];
+    for (const el of elements) {
+      if (!el.isConnected) continue;
+      const r = el.getBoundingClientRect();
+      if (r.width <= 0 || r.height <= 0) continue;
+      shapes.push(elementShape(el, r, shape, padding));
+    }
+    const key = JSON.stringify(shapes);
+    if (key === lastKey) return;
+    lastKey = key;
+    onChange(shapes);
+  }
+
+  function schedule() {
+    if (scheduled || stopped) return;
+    scheduled = true;
+    requestAnimationFrame(measure);
+  }
+
+  // Transitions (by property) and animations (by name) still running, per element.
+  /** @type {Map<EventTarget, Set<string>>} */
+  const moving = new Map();
+  let following = false;
+
+  /** @param {Event} event */
+  function motionKey(event) {
+    return 'propertyName' in event ? `transition:${event.propertyName}` : `animation:${/** @type {AnimationEvent} */ (event).animationName}`;
+  }
+
+  function follow() {
+    // Removed elements may never report the end of their motion.
+    for (const target of moving.keys()) {
+      if (!(target instanceof Node) || !target.isConnected) moving.delete(target);
+    }
+    if (stopped || moving.size === 0) {
+      following = false;
+      return;
+    }
+    measure();
+    requestAnimationFrame(follow);
+  }
+
+  /** @param {Event} event */
+  function motionStart(event) {
+    if (!event.target) return;
+    const keys = moving.get(event.target) ?? new Set();
+    keys.add(motionKey(event));
+    moving.set(event.target, keys);
+    if (following || stopped) return;
+    following = true;
+    requestAnimationFrame(follow);
+  }
+
+  /** @param {Event} event */
+  function motionEnd(event) {
+    const keys = event.target && moving.get(event.target);
+    if (keys) {
+      keys.delete(motionKey(event));
+      if (keys.size === 0) moving.delete(/** @type {EventTarget} */ (event.target));
+    }
+    // Catch where it ended up.
+    schedule();
+  }
+
+  const motionStarts = ['transitionrun', 'transitionstart', 'animationstart'];
+  const motionEnds = ['transitionend', 'transitioncancel', 'animationend', 'animationcancel'];
+
+  const resizeObserver = typeof ResizeObserver === 'function' ? new ResizeObserver(schedule) : null;
+  // Opening, closing and repositioning (inline style, class, hidden) don't all change the size.
+  const mutationObserver = new MutationObserver(schedule);
+  for (const el of elements) {
+    resizeObserver?.observe(el);
+    mutationObserver.observe(el, { attributes: true, attributeFilter: ['style', 'class', 'hidden'] });
+    // Slide-ins move the element without resizing it; follow them while they run.
+    for (const type of motionStarts) el.addEventListener(type, motionStart);
+    for (const type of motionEnds) el.addEventListener(type, motionEnd);
+  }
+  // Capture so scrolling containers count too, not just the window.
+  window.addEventListener('scroll', schedule, { passive: true, capture: true });
+  window.addEventListener('resize', schedule, { passive: true });
+  measure();
+
+  return () => {
+    stopped = true;
+    resizeObserver?.disconnect();
+    mutationObserver.disconnect();
+    moving.clear();
+    for (const el of elements) {
+      for (const type of motionStarts) el.removeEventListener(type, motionStart);
+      for (const type of motionEnds) el.removeEventListener(type, motionEnd);
+    }
+    window.removeEventListener('scroll', schedule, { capture: true });
+    window.removeEventListener('resize', schedule);
+  };
+}
+
+/**
+ * Tracks `elements` as one member of `groups` (one per call, so callers can stop them
+ * independently) and reports the shapes of every group together whenever any changes.
+ * @param {Set<{ shapes: Region[] }>} groups
+ * @param {Iterable<Element>} elements
+ * @param {{ padding: number; shape: ElementShape }} options
+ * @param {(shapes: Region[]) => void} apply
+ * @returns {() => void} stops tracking these elements and drops their shapes
+ */
+export function trackGroup(groups, elements, options, apply) {
+  /** @type {{ shapes: Region[] }} */
+  const group = { shapes: [] };
+  groups.add(group);
+  const report = () => apply(Array.from(groups, (g) => g.shapes).flat());
+  const stop = trackElementShapes(Array.from(elements), options, (shapes) => {
+    group.shapes = shapes;
+    report();
+  });
+  return () => {
+    stop();
+    groups.delete(group);
+    report();
+  };
+}
@@ -0,0 +1,676 @@
+/**
+ * Grid-mode geometry: point lattices that fill a rectangle, and the assignment of dots to
+ * lattice points. Pure functions over device pixels; the simulation owns the dots.
+ *
+ * @typedef {'rect' | 'triangular' | 'hex' | 'polar' | 'phyllotaxis'} GridLayout
+ * @typedef {{ x: number; y: number; width: number; height: number }} LatticeBounds
+ * @typedef {{ xs: number[]; ys: number[]; row: number[]; col: number[]; tone: number[]; bounds: LatticeBounds }} Lattice
+ * @typedef {'nearest' | 'total' | 'longest'} GridAssignment
+ * @typedef {'none' | 'centre' | 'gradient-x' | 'gradient-y' | 'checkerboard' | 'rows'} GridArrangement
+ */
+
+import { SpatialHash } from './dotBuffer.js?v=2025-12-13-1';
+
+/** @type {readonly GridLayout[]} */
+export const GRID_LAYOUTS = /** @type {const} */ (['rect', 'triangular', 'hex', 'polar', 'phyllotaxis']);
+/** @type {readonly GridArrangement[]} */
+export const GRID_ARRANGEMENTS = /** @type {const} */ (['none', 'centre', 'gradient-x', 'gradient-y', 'checkerboard', 'rows']);
+
+const ROW_RATIO = Math.sqrt(3) / 2;
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+// Bisection steps when searching a radial layout's spacing; plenty for sub-pixel precision.
+const SPACING_STEPS = 24;
+
+/**
+ * At least `count` points inside `bounds`, in reading order for the row layouts and from
+ * the centre outward for the radial ones. Each point also carries its `row` and `col`
+ * (ring and place along it for `polar`, index along the arm for `phyllotaxis`) and a
+ * checkerboard `tone` of 0 or 1:
+ * - `rect`: cols × rows, stretched to the bounds
+ * - `triangular`: alternate rows offset by half a step, six neighbours each
+ * - `hex`: honeycomb, a triangular lattice with every third point removed
+ * - `polar`: concentric rings around the centre, evenly spaced along each ring
+ * - `phyllotaxis`: Vogel's sunflower spiral from the centre
+ * The radial layouts are clipped to the bounds, so their rings and arms run off the edges.
+ * @param {GridLayout} layout
+ * @param {number} count
+ * @param {LatticeBounds} bounds
+ * @returns {Lattice}
+ */
+export function gridLattice(layout, count, bounds) {
+  const n = Math.max(1, count);
+  switch (layout) {
+    case 'triangular':
+      return offsetRows(n, bounds, false);
+    case 'hex':
+      return offsetRows(n, bounds, true);
+    case 'polar':
+      return radial(n, bounds, polarPoints);
+    case 'phyllotaxis':
+      return radial(n, bounds, spiralPoints);
+    default:
+      return rectPoints(n, bounds);
+  }
+}
+
+/**
+ * @param {number} count
+ * @param {LatticeBounds} bounds
+ * @returns {Lattice}
+ */
+function rectPoints(count, bounds) {
+  const { x, y, width, height } = bounds;
+  const cols = Math.max(1, Math.ceil(Math.sqrt((count * width) / Math.max(1, height))));
+  const rows = Math.max(1, Math.ceil(count / cols));
+  const stepX = cols <= 1 ? 0 : width / (cols - 1);
+  const stepY = rows <= 1 ? 0 : height / (rows - 1);
+
+  const lattice = emptyLattice(bounds);
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) addPoint(lattice, x + c * stepX, y + r * stepY, r, c, (r + c) & 1);
+  }
+  return lattice;
+}
+
+/**
+ * Triangular lattice as rows of points, odd rows shifted half a step; `honeycomb` drops the
+ * sublattice that would sit in the middle of each hexagon.
+ * @param {number} count
+ * @param {LatticeBounds} bounds
+ * @param {boolean} honeycomb
+ * @returns {Lattice}
+ */
+function offsetRows(count, bounds, honeycomb) {
+  const { x, y, width, height } = bounds;
+  // A honeycomb keeps two points in three.
+  const cells = honeycomb ? Math.ceil(count * 1.5) : count;
+  const cols = Math.max(1, Math.ceil(Math.sqrt((cells * ROW_RATIO * width) / Math.max(1, height))));
+  let rows = Math.max(1, Math.ceil(cells / cols));
+
+  /** @param {number} rows */
+  const build = (rows) => {
+    const span = cols - 1 + (rows > 1 ? 0.5 : 0);
+    const stepX = span <= 0 ? 0 : width / span;
+    const stepY = rows <= 1 ? 0 : height / (rows - 1);
+    const lattice = emptyLattice(bounds);
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        // Axial coordinates: (i - r) mod 3 splits the lattice into three sublattices. A
+        // honeycomb keeps two of them, and every edge joins one to the other.
+        const i = c - Math.floor(r / 2);
+        const sub = (((i - r) % 3) + 3) % 3;
+        if (honeycomb && sub === 0) continue;
+        addPoint(lattice, x + (c + 0.5 * (r & 1)) * stepX, y + r * stepY, r, c, honeycomb ? sub - 1 : (r + c) & 1);
+      }
+    }
+    return lattice;
+  };
+
+  let lattice = build(rows);
+  while (lattice.xs.length < count) lattice = build(++rows);
+  return lattice;
+}
+
+/**
+ * Widest spacing at which `points` still puts `count` points inside the bounds.
+ * @param {number} count
+ * @param {LatticeBounds} bounds
+ * @param {(spacing: number, bounds: LatticeBounds) => Lattice} points
+ * @returns {Lattice}
+ */
+function radial(count, bounds, points) {
+  let lo = Math.sqrt((bounds.width * bounds.height) / count) / 4;
+  let lattice = points(lo, bounds);
+  while (lattice.xs.length < count && lo > 1e-3) lattice = points((lo /= 2), bounds);
+
+  let hi = Math.max(bounds.width, bounds.height, lo * 2);
+  for (let step = 0; step < SPACING_STEPS; step++) {
+    const mid = (lo + hi) / 2;
+    const candidate = points(mid, bounds);
+    if (candidate.xs.length >= count) {
+      lo = mid;
+      lattice = candidate;
+    } else {
+      hi = mid;
+    }
+  }
+  return lattice;
+}
+
+/**
+ * A point, then rings `spacing` apart carrying as many points as fit `spacing` apart along
+ * them. Odd rings are turned half a step so spokes don't line up.
+ * @param {number} spacing
+ * @param {LatticeBounds} bounds
+ * @returns {Lattice}
+ */
+function polarPoints(spacing, bounds) {
+  const { cx, cy, reach } = centre(bounds);
+  const lattice = emptyLattice(bounds);
+  for (let k = 0; k * spacing <= reach; k++) {
+    const radius = k * spacing;
+    const n = k === 0 ? 1 : Math.max(1, Math.round(2 * Math.PI * k));
+    const phase = k & 1 ? 0.5 : 0;
+    for (let m = 0; m < n; m++) {
+      const angle = (2 * Math.PI * (m + phase)) / n;
+      addInside(lattice, cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius, k, m, (k + m) & 1);
+    }
+  }
+  return lattice;
+}
+
+/**
+ * Vogel's model: the k-th point sits at radius `spacing * √k`, a golden angle round from the
+ * last, which packs at an even density all the way out.
+ * @param {number} spacing
+ * @param {LatticeBounds} bounds
+ * @returns {Lattice}
+ */
+function spiralPoints(spacing, bounds) {
+  const { cx, cy, reach } = centre(bounds);
+  const lattice = emptyLattice(bounds);
+  for (let k = 0; spacing * Math.sqrt(k) <= reach; k++) {
+    const radius = spacing * Math.sqrt(k);
+    const angle = k * GOLDEN_ANGLE;
+    addInside(lattice, cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius, 0, k, k & 1);
+  }
+  return lattice;
+}
+
+/** @param {LatticeBounds} bounds */
+function centre({ x, y, width, height }) {
+  return { cx: x + width / 2, cy: y + height / 2, reach: Math.hypot(width, height) / 2 };
+}
+
+/**
+ * @param {LatticeBounds} bounds
+ * @returns {Lattice}
+ */
+function emptyLattice(bounds) {
+  return { xs: [], ys: [], row: [], col: [], tone: [], bounds };
+}
+
+/**
+ * @param {Lattice} lattice
+ * @param {number} px
+ * @param {number} py
+ * @param {number} row
+ * @param {number} col
+ * @param {number} tone
+ */
+function addPoint(lattice, px, py, row, col, tone) {
+  lattice.xs.push(px);
+  lattice.ys.push(py);
+  lattice.row.push(row);
+  lattice.col.push(col);
+  lattice.tone.push(tone);
+}
+
+/**
+ * {@link addPoint}, skipping points outside the bounds.
+ * @param {Lattice} lattice
+ * @param {number} px
+ * @param {number} py
+ * @param {number} row
+ * @param {number} col
+ * @param {number} tone
+ */
+function addInside(lattice, px, py, row, col, tone) {
+  const { x, y, width, height } = lattice.bounds;
+  const eps = 1e-6;
+  if (px < x - eps || py < y - eps || px > x + width + eps || py > y + height + eps) return;
+  addPoint(lattice, px, py, row, col, tone);
+}
+
+/**
+ * Spatial index over a lattice's points for nearest-point queries.
+ * @param {Lattice} lattice
+ */
+function indexLattice(lattice) {
+  const { xs, ys, bounds } = lattice;
+  const n = xs.length;
+  const cellSize = Math.max(1, Math.sqrt((bounds.width * bounds.height) / Math.max(1, n)));
+  const hash = new SpatialHash();
+  hash.configure(bounds.x + bounds.width + 1, bounds.y + bounds.height + 1, cellSize, n);
+  for (let p = 0; p < n; p++) hash.insert(p, xs[p], ys[p]);
+  return hash;
+}
+
+/**
+ * Nearest lattice point to (x, y) that isn't `used`, searching outward ring by ring.
+ * @param {Lattice} lattice
+ * @param {SpatialHash} hash
+ * @param {number} x
+ * @param {number} y
+ * @param {Uint8Array} used
+ * @returns {number} point index, or -1 if every point is used
+ */
+function nearestFree(lattice, hash, x, y, used) {
+  const { xs, ys } = lattice;
+  const { cols, rows, head, next, cellSize } = hash;
+  const gx = hash.cellX(x);
+  const gy = hash.cellY(y);
+  let best = -1;
+  let bestD = Infinity;
+  const maxRing = Math.max(cols, rows);
+  for (let ring = 0; ring <= maxRing; ring++) {
+    // Every cell in this ring is at least (ring - 1) cells away.
+    const reach = Math.max(0, ring - 1) * cellSize;
+    if (best >= 0 && reach * reach > bestD) break;
+    for (let cy = gy - ring; cy <= gy + ring; cy++) {
+      if (cy < 0 || cy >= rows) continue;
+      const edgeRow = cy === gy - ring || cy === gy + ring;
+      for (let cx = gx - ring; cx <= gx + ring; cx += edgeRow || ring === 0 ? 1 : 2 * ring) {
+        if (cx < 0 || cx >= cols) continue;
+        for (let p = head[cy * cols + cx]; p !== -1; p = next[p]) {
+          if (used[p]) continue;
+          const d = (xs[p] - x) ** 2 + (ys[p] - y) ** 2;
+          if (d < bestD) {
+            bestD = d;
+            best = p;
+          }
+        }
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Picks a lattice point for each dot:
+ * - `nearest`: greedy; every point keeps the closest of the dots nearest to it and the rest
+ *   take the nearest point still free, which can send a few dots across the field
+ * - `total`: refines that to minimise the summed distance travelled
+ * - `longest`: refines it weighting distance to the fourth power, so the longest trips
+ *   shrink first at the cost of a little more travel overall
+ * The refinements are optimal within overlapping local blocks rather than globally.
+ * @param {Lattice} lattice
+ * @param {ArrayLike<number>} x
+ * @param {ArrayLike<number>} y
+ * @param {number} count
+ * @param {GridAssignment} mode
+ * @returns {Int32Array} lattice point per dot, -1 if it has none
+ */
+export function assignHomes(lattice, x, y, count, mode) {
+  const home = assignNearest(lattice, x, y, count);
+  if (mode === 'total') {
+    refineBlocks(lattice, x, y, home, (d2) => Math.sqrt(d2));
+  } else if (mode === 'longest') {
+    // In units of the lattice spacing, so the fourth power stays well inside float range.
+    const { bounds } = lattice;
+    const unit2 = Math.max(1, (bounds.width * bounds.height) / Math.max(1, lattice.xs.length));
+    refineBlocks(lattice, x, y, home, (d2) => (d2 / unit2) ** 2);
+  }
+  return home;
+}
+
+/**
+ * Greedy home assignment: every point keeps the closest of the dots nearest to it, and the
+ * rest go to the nearest point still free.
+ * @param {Lattice} lattice
+ * @param {ArrayLike<number>} x
+ * @param {ArrayLike<number>} y
+ * @param {number} count
+ * @returns {Int32Array} lattice point per dot
+ */
+function assignNearest(lattice, x, y, count) {
+  const hash = indexLattice(lattice);
+  const points = lattice.xs.length;
+  const none = new Uint8Array(points);
+  const home = new Int32Array(count).fill(-1);
+  const owner = new Int32Array(points).fill(-1);
+  const ownerD = new Float64Array(points);
+  /** @type {number[]} */
+  const overflow = [];
+
+  for (let i = 0; i < count; i++) {
+    const p = nearestFree(lattice, hash, x[i], y[i], none);
+    const d = (lattice.xs[p] - x[i]) ** 2 + (lattice.ys[p] - y[i]) ** 2;
+    if (owner[p] === -1) {
+      owner[p] = i;
+      ownerD[p] = d;
+    } else if (d < ownerD[p]) {
+      overflow.push(owner[p]);
+      owner[p] = i;
+      ownerD[p] = d;
+    } else {
+      overflow.push(i);
+    }
+  }
+
+  const used = new Uint8Array(points);
+  for (let p = 0; p < points; p++) {
+    if (owner[p] === -1) continue;
+    home[owner[p]] = p;
+    used[p] = 1;
+  }
+  for (const i of overflow) {
+    const p = nearestFree(lattice, hash, x[i], y[i], used);
+    if (p === -1) break;
+    used[p] = 1;
+    home[i] = p;
+  }
+  return home;
+}
+
+/**
+ * Whether any two lattice points are closer than `distance`: dots that far apart edge to
+ * edge can't all sit on their points without overlapping.
+ * @param {Lattice} lattice
+ * @param {number} distance
+ * @returns {boolean}
+ */
+export function hasCloserPair(lattice, distance) {
+  const { xs, ys, bounds } = lattice;
+  const n = xs.length;
+  if (n < 2 || distance <= 0) return false;
+  const hash = new SpatialHash();
+  hash.configure(bounds.x + bounds.width + 1, bounds.y + bounds.height + 1, distance, n);
+  const d2 = distance * distance;
+  for (let p = 0; p < n; p++) {
+    const gx = hash.cellX(xs[p]);
+    const gy = hash.cellY(ys[p]);
+    for (let cy = Math.max(0, gy - 1); cy <= Math.min(hash.rows - 1, gy + 1); cy++) {
+      for (let cx = Math.max(0, gx - 1); cx <= Math.min(hash.cols - 1, gx + 1); cx++) {
+        for (let q = hash.head[cy * hash.cols + cx]; q !== -1; q = hash.next[q]) {
+          if ((xs[p] - xs[q]) ** 2 + (ys[p] - ys[q]) ** 2 < d2) return true;
+        }
+      }
+    }
+    hash.insert(p, xs[p], ys[p]);
+  }
+  return false;
+}
+
+// Local refinement: lattice points per block, and how many shifted tilings to sweep.
+const BLOCK_POINTS = 24;
+// Most dots one solve takes. A pile (after a drop, say) crowds hundreds of dots into a few
+// blocks, and the solve is cubic in their number, so bigger blocks are split.
+const BLOCK_MAX_DOTS = 2 * BLOCK_POINTS;
+const BLOCK_PASSES = 8;
+const BLOCK_SHIFTS = [
+  [0, 0],
+  [0.5, 0.5],
+  [0.5, 0],
+  [0, 0.5],
+];
+
+/**
+ * Min-cost assignment of `rows` workers to `cols` jobs (rows ≤ cols), Hungarian method with
+ * potentials: O(rows² · cols).
+ * @param {number} rows
+ * @param {number} cols
+ * @param {Float64Array} cost row-major, `rows × cols`
+ * @returns {Int32Array} column per row
+ */
+function hungarian(rows, cols, cost) {
+  const u = new Float64Array(rows + 1);
+  const v = new Float64Array(cols + 1);
+  // 1-based: p[col] is the row holding col, 0 when free.
+  const p = new Int32Array(cols + 1);
+  const way = new Int32Array(cols + 1);
+  const minv = new Float64Array(cols + 1);
+  const used = new Uint8Array(cols + 1);
+  for (let row = 1; row <= rows; row++) {
+    p[0] = row;
+    let j0 = 0;
+    minv.fill(Infinity);
+    used.fill(0);
+    do {
+      used[j0] = 1;
+      const i0 = p[j0];
+      let delta = Infinity;
+      let j1 = 0;
+      for (let j = 1; j <= cols; j++) {
+        if (used[j]) continue;
+        const cur = cost[(i0 - 1) * cols + j - 1] - u[i0] - v[j];
+        if (cur < minv[j]) {
+          minv[j] = cur;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+      for (let j = 0; j <= cols; j++) {
+        if (used[j]) {
+          u[p[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0 !== 0);
+  }
+  const result = new Int32Array(rows);
+  for (let j = 1; j <= cols; j++) if (p[j] > 0) result[p[j] - 1] = j - 1;
+  return result;
+}
+
+/**
+ * Improves an assignment block by block. Each block takes the dots standing in it or homed
+ * in it, with their homes and the block's free points, and reassigns them optimally; the
+ * tiling shifts between passes so a long trip is shortened across block edges. A block with
+ * more than {@link BLOCK_MAX_DOTS} dots is solved in runs of dots with neighbouring homes.
+ * @param {Lattice} lattice
+ * @param {ArrayLike<number>} x
+ * @param {ArrayLike<number>} y
+ * @param {Int32Array} home lattice point per dot, updated in place
+ * @param {(d2: number) => number} cost travel cost from a squared distance
+ */
+function refineBlocks(lattice, x, y, home, cost) {
+  const { xs, ys, bounds } = lattice;
+  const points = xs.length;
+  const count = home.length;
+  const owner = new Int32Array(points).fill(-1);
+  for (let i = 0; i < count; i++) if (home[i] >= 0) owner[home[i]] = i;
+
+  const tile = Math.max(1, Math.sqrt((bounds.width * bounds.height * BLOCK_POINTS) / Math.max(1, points)));
+  const tilesX = Math.ceil(bounds.width / tile) + 1;
+  const tilesY = Math.ceil(bounds.height / tile) + 1;
+  let matrix = new Float64Array(0);
+
+  // Passes since the last one that moved anyone; a full round of shifts without a move
+  // means every block is already optimal.
+  let idle = 0;
+  for (let pass = 0; pass < BLOCK_PASSES && idle < BLOCK_SHIFTS.length; pass++) {
+    const [sx, sy] = BLOCK_SHIFTS[pass % BLOCK_SHIFTS.length];
+    idle++;
+    /** @param {number} px @param {number} py */
+    const tileOf = (px, py) => {
+      const tx = clampTile(Math.floor((px - bounds.x) / tile + sx), tilesX);
+      const ty = clampTile(Math.floor((py - bounds.y) / tile + sy), tilesY);
+      return ty * tilesX + tx;
+    };
+
+    /** @type {number[][]} */
+    const members = Array.from({ length: tilesX * tilesY }, () => []);
+    /** @type {number[][]} */
+    const spare = Array.from({ length: tilesX * tilesY }, () => []);
+    for (let i = 0; i < count; i++) {
+      if (home[i] < 0) continue;
+      const at = tileOf(x[i], y[i]);
+      const to = tileOf(xs[home[i]], ys[home[i]]);
+      members[at].push(i);
+      if (to !== at) members[to].push(i);
+    }
+    for (let q = 0; q < points; q++) if (owner[q] === -1) spare[tileOf(xs[q], ys[q])].push(q);
+
+    for (let t = 0; t < members.length; t++) {
+      const block = members[t];
+      if (block.length < 2) continue;
+      // Lattice points are laid out in rows, so runs of home indices lie close together.
+      if (block.length > BLOCK_MAX_DOTS) block.sort((a, b) => home[a] - home[b]);
+      for (let start = 0; start < block.length; start += BLOCK_MAX_DOTS) {
+        const dots = block.slice(start, start + BLOCK_MAX_DOTS);
+        if (dots.length < 2) continue;
+        /** @type {number[]} */
+        const slots = dots.map((i) => home[i]);
+        for (const q of spare[t]) if (owner[q] === -1) slots.push(q);
+
+        const cols = slots.length;
+        if (matrix.length < dots.length * cols) matrix = new Float64Array(dots.length * cols * 2);
+        dots.forEach((i, r) => {
+          for (let c = 0; c < cols; c++) {
+            const q = slots[c];
+            matrix[r * cols + c] = cost((xs[q] - x[i]) ** 2 + (ys[q] - y[i]) ** 2);
+          }
+        });
+        const pick = hungarian(dots.length, cols, matrix);
+        for (const i of dots) owner[home[i]] = -1;
+        dots.forEach((i, r) => {
+          if (home[i] !== slots[pick[r]]) idle = 0;
+          home[i] = slots[pick[r]];
+          owner[home[i]] = i;
+        });
+        // Points given up here may be picked up by a later block.
+        for (const q of slots) if (owner[q] === -1) spare[tileOf(xs[q], ys[q])].push(q);
+      }
+    }
+  }
+}
+
+/**
+ * @param {number} t
+ * @param {number} n
+ */
+function clampTile(t, n) {
+  return t < 0 ? 0 : t >= n ? n - 1 : t;
+}
+
+/**
+ * {@link assignHomes}, with dot sizes placed by `arrangement`:
+ * - `none`: each size lands wherever its dots happen to be
+ * - `centre`: largest in the middle, shrinking outward
+ * - `gradient-x` / `gradient-y`: smallest at the left / top, growing to the right / bottom
+ * - `checkerboard`: the larger half on one tone, the smaller half on the other
+ * - `rows`: dots keep their row (ring, or place on the spiral) and are sorted small to
+ *   large along it
+ * Dots of one size share out that size's points by `mode`, so nobody travels further than
+ * the arrangement needs.
+ * @param {Lattice} lattice
+ * @param {ArrayLike<number>} x
+ * @param {ArrayLike<number>} y
+ * @param {ArrayLike<number>} r
+ * @param {number} count
+ * @param {GridAssignment} mode
+ * @param {GridArrangement} arrangement
+ * @returns {Int32Array} lattice point per dot, -1 if it has none
+ */
+export function arrangeHomes(lattice, x, y, r, count, mode, arrangement) {
+  if (arrangement === 'rows') {
+    const home = assignHomes(lattice, x, y, count, mode);
+    sortRows(lattice, home, r);
+    return home;
+  }
+  if (arrangement === 'checkerboard') return arrangeCheckerboard(lattice, x, y, r, count, mode);
+  if (arrangement !== 'centre' && arrangement !== 'gradient-x' && arrangement !== 'gradient-y') {
+    return assignHomes(lattice, x, y, count, mode);
+  }
+
+  const { xs, ys } = lattice;
+  const { cx, cy } = centre(lattice.bounds);
+  /** @param {number} p */
+  const key = (p) => {
+    if (arrangement === 'centre') return -Math.hypot(xs[p] - cx, ys[p] - cy);
+    return arrangement === 'gradient-x' ? xs[p] : ys[p];
+  };
+  // The first `count` points in lattice order, so spares fall where they would anyway;
+  // then larger keys first, to meet the largest dots.
+  const points = Array.from({ length: Math.min(count, xs.length) }, (_, p) => p);
+  points.sort((a, b) => key(b) - key(a) || a - b);
+  const order = bySizeDescending(r, count);
+
+  const home = new Int32Array(count).fill(-1);
+  for (let start = 0; start < order.length; ) {
+    let end = start + 1;
+    while (end < order.length && r[order[end]] === r[order[start]]) end++;
+    placeGroup(lattice, x, y, order.slice(start, end), points.slice(start, end), mode, home);
+    start = end;
+  }
+  return home;
+}
+
+/**
+ * @param {Lattice} lattice
+ * @param {ArrayLike<number>} x
+ * @param {ArrayLike<number>} y
+ * @param {ArrayLike<number>} r
+ * @param {number} count
+ * @param {GridAssignment} mode
+ */
+function arrangeCheckerboard(lattice, x, y, r, count, mode) {
+  /** @type {number[][]} */
+  const tones = [[], []];
+  lattice.tone.forEach((t, p) => tones[t].push(p));
+  const order = bySizeDescending(r, count);
+  // Half each where both tones have room; otherwise fill the smaller tone and put the rest
+  // on the other.
+  const large = Math.max(count - tones[1].length, Math.min(tones[0].length, Math.ceil(count / 2)));
+
+  const home = new Int32Array(count).fill(-1);
+  placeGroup(lattice, x, y, order.slice(0, large), tones[0], mode, home);
+  placeGroup(lattice, x, y, order.slice(large), tones[1], mode, home);
+  return home;
+}
+
+/**
+ * Reorders dots within each row so sizes rise with the column. Equal sizes keep their
+ * order, so they don't swap places for nothing.
+ * @param {Lattice} lattice
+ * @param {Int32Array} home updated in place
+ * @param {ArrayLike<number>} r
+ */
+function sortRows(lattice, home, r) {
+  const { row, col } = lattice;
+  /** @type {Map<number, number[]>} */
+  const rows = new Map();
+  home.forEach((p, i) => {
+    if (p < 0) return;
+    const members = rows.get(row[p]);
+    if (members) members.push(i);
+    else rows.set(row[p], [i]);
+  });
+  for (const dots of rows.values()) {
+    const slots = dots.map((i) => home[i]).sort((a, b) => col[a] - col[b]);
+    dots.sort((a, b) => r[a] - r[b] || col[home[a]] - col[home[b]]);
+    dots.forEach((i, k) => {
+      home[i] = slots[k];
+    });
+  }
+}
+
+/**
+ * Dots `order` go to lattice points `points` (no fewer), assigned among themselves by `mode`.
+ * @param {Lattice} lattice
+ * @param {ArrayLike<number>} x
+ * @param {ArrayLike<number>} y
+ * @param {number[]} order
+ * @param {number[]} points
+ * @param {GridAssignment} mode
+ * @param {Int32Array} home updated in place
+ */
+function placeGroup(lattice, x, y, order, points, mode, home) {
+  if (order.length === 0) return;
+  const sub = emptyLattice(lattice.bounds);
+  for (const p of points) addPoint(sub, lattice.xs[p], lattice.ys[p], lattice.row[p], lattice.col[p], lattice.tone[p]);
+  const picks = assignHomes(sub, order.map((i) => x[i]), order.map((i) => y[i]), order.length, mode);
+  order.forEach((i, k) => {
+    home[i] = picks[k] < 0 ? -1 : points[picks[k]];
+  });
+}
+
+/**
+ * @param {ArrayLike<number>} r
+ * @param {number} count
+ */
+function bySizeDescending(r, count) {
+  return Array.from({ length: count }, (_, i) => i).sort((a, b) => r[b] - r[a] || a - b);
+}
@@ -1,4 +1,5 @@
-import { DotField } from './dotField.js?v=2025-12-13-90';
+import { createDotField, sizeBuckets, sizeWeights } from './dotField.js?v=2025-12-13-112';
+import { observeSections } from './sectionController.js?v=2025-12-13-1';
 
 (() => {
   const canvas = document.querySelector('#dotfield');
@@ -6,14 +7,17 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
 
   const root = document.documentElement;
 
-  const SETTINGS_VERSION = '2025-12-13-defaults-v6';
+  const SETTINGS_VERSION = '2025-12-13-defaults-v7';
   const storedSettingsVersion = localStorage.getItem('settingsVersion');
   if (storedSettingsVersion !== SETTINGS_VERSION) {
     localStorage.removeItem('dotMinSize');
     localStorage.removeItem('dotMaxSize');
     localStorage.removeItem('dotDensity');
+    localStorage.removeItem('dotDensityModel');
     localStorage.removeItem('dotSizeCount');
     localStorage.removeItem('dotDistribution');
+    localStorage.removeItem('dotDistributionWeights');
+    localStorage.removeItem('dotSizeSpacing');
     localStorage.removeItem('speed');
     localStorage.setItem('settingsVersion', SETTINGS_VERSION);
   }
@@ -31,9 +35,12 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
   const defaults = {
     dotMinSize: 4.5,
     dotMaxSize: 50,
-    dotDensity: 0.5,
+    // Dots per 100k px², so the same preset looks the same on any screen size.
+    dotDensityModel: 'area',
+    dotDensity: 46,
     dotSizeCount: 10,
     dotDistribution: 1,
+    dotSizeSpacing: 'linear',
     speed: 1,
     breathingEnabled: true,
   };
@@ -42,6 +49,31 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
     return Math.max(min, Math.min(max, value));
   }
 
+  // Distribution slider stops past the seven named shapes (0–6).
+  const continuousDistributions = [
+    { label: 'Log-normal', distribution: { type: 'lognormal', sigma: 0.6 } },
+    { label: 'Power law', distribution: { type: 'powerlaw', alpha: 2 } },
+    { label: 'Exponential', distribution: { type: 'exponential' } },
+  ];
+  const maxDistribution = 6 + continuousDistributions.length;
+
+  /** @type {Record<string, { min: number; max: number; step: number; format: (v: number) => string }>} */
+  const densityModels = {
+    scalar: { min: 0.2, max: 3, step: 0.05, format: (v) => `${v.toFixed(2)}×` },
+    count: { min: 20, max: 5000, step: 10, format: (v) => `${v.toFixed(0)} dots` },
+    area: { min: 2, max: 400, step: 1, format: (v) => `${v.toFixed(0)} / 100k px²` },
+    coverage: { min: 0.02, max: 0.7, step: 0.01, format: (v) => `${Math.round(v * 100)}% ink` },
+  };
+
+  /**
+   * @param {string} model
+   * @param {number} value
+   */
+  function clampDensity(model, value) {
+    const { min, max, step } = densityModels[model];
+    return clamp(Math.round(value / step) * step, min, max);
+  }
+
   const prefersReducedMotion = matchMedia('(prefers-reduced-motion: reduce)');
   function onMediaQueryChange(mql, handler) {
     if (!mql) return;
@@ -57,8 +89,11 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
   localStorage.removeItem('dotMinSize');
   localStorage.removeItem('dotMaxSize');
   localStorage.removeItem('dotDensity');
+  localStorage.removeItem('dotDensityModel');
   localStorage.removeItem('dotSizeCount');
   localStorage.removeItem('dotDistribution');
+  localStorage.removeItem('dotDistributionWeights');
+  localStorage.removeItem('dotSizeSpacing');
   localStorage.removeItem('speed');
 
   function getInitialMinSize() {
@@ -73,10 +108,16 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
     return defaults.dotMaxSize;
   }
 
-  function getInitialDensity() {
+  function getInitialDensityModel() {
+    const stored = localStorage.getItem('dotDensityModel');
+    if (stored && Object.hasOwn(densityModels, stored)) return stored;
+    return defaults.dotDensityModel;
+  }
+
+  function getInitialDensity(model) {
     const stored = Number(localStorage.getItem('dotDensity'));
-    if (Number.isFinite(stored) && stored > 0) return Math.max(0.2, Math.min(3, stored));
-    return defaults.dotDensity;
+    if (Number.isFinite(stored) && stored > 0) return clampDensity(model, stored);
+    return model === defaults.dotDensityModel ? defaults.dotDensity : densityModels[model].min;
   }
 
   function getInitialSizeCount() {
@@ -89,10 +130,26 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
     const raw = localStorage.getItem('dotDistribution');
     if (raw == null) return defaults.dotDistribution;
     const stored = Number(raw);
-    if (Number.isFinite(stored)) return Math.max(0, Math.min(6, Math.round(stored)));
+    if (Number.isFinite(stored)) return Math.max(0, Math.min(maxDistribution, Math.round(stored)));
     return defaults.dotDistribution;
   }
 
+  function getInitialDistributionWeights() {
+    try {
+      const stored = JSON.parse(localStorage.getItem('dotDistributionWeights') ?? 'null');
+      if (Array.isArray(stored) && stored.length >= 2 && stored.every((w) => Number.isFinite(w))) return stored;
+    } catch {
+      // Fall through to the slider's shape.
+    }
+    return null;
+  }
+
+  function getInitialSizeSpacing() {
+    const stored = localStorage.getItem('dotSizeSpacing');
+    if (stored === 'linear' || stored === 'geometric') return stored;
+    return defaults.dotSizeSpacing;
+  }
+
   function getInitialAutoFit() {
     const stored = localStorage.getItem('autoFit');
     if (stored === 'true') return true;
@@ -130,9 +187,14 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
 
   let dotMinSize = getInitialMinSize();
   let dotMaxSize = Math.round(getInitialMaxSize());
-  let dotDensity = getInitialDensity();
+  let dotDensityModel = getInitialDensityModel();
+  let dotDensity = getInitialDensity(dotDensityModel);
   let dotSizeCount = getInitialSizeCount();
   let dotDistribution = getInitialDistribution();
+  // Weights drawn on the histogram; while set they replace the slider's shape.
+  /** @type {number[] | null} */
+  let dotDistributionWeights = getInitialDistributionWeights();
+  let dotSizeSpacing = getInitialSizeSpacing();
   let speed = getInitialSpeed();
   let breathingEnabled = getInitialBreathingEnabled();
   let gridEnabled = getInitialGridEnabled();
@@ -142,10 +204,20 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
   // Grid is a transient "layout action" and shouldn't persist across refresh.
   localStorage.removeItem('gridEnabled');
   gridEnabled = false;
+  let gridLayout = 'rect';
+  let gridArrangement = 'none';
+  let pointerMode = 'off';
+  let densityMap = 'none';
   let breathingBeforeGrid = breathingEnabled;
   const autoFit = true;
   const reactToUi = false;
 
+  function distributionSpec() {
+    if (dotDistributionWeights) return dotDistributionWeights;
+    if (dotDistribution > 6) return continuousDistributions[dotDistribution - 7].distribution;
+    return dotDistribution;
+  }
+
   function speedInternal() {
     return Math.max(0, Math.min(1, speed * 0.35));
   }
@@ -153,7 +225,8 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
   let dotField;
   // Title container removed.
   try {
-    dotField = new DotField(canvas, {
+    // Runs in a worker on an OffscreenCanvas where supported, on the main thread otherwise.
+    dotField = createDotField(canvas, {
       mode,
       reducedMotion: prefersReducedMotion.matches,
     });
@@ -165,18 +238,32 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
 
   // Title container removed.
 
-  dotField.setDensityScalar(dotDensity);
+  dotField.setDensity(dotDensityModel, dotDensity);
   dotField.setMinRadius(dotMinSize);
   dotField.setMaxRadius(dotMaxSize);
   dotField.setSizeCount(dotSizeCount);
-  dotField.setDistribution(dotDistribution);
+  dotField.setDistribution(distributionSpec());
+  dotField.setSizeSpacing(dotSizeSpacing);
   dotField.setAutoFitDensity(autoFit);
   dotField.setReactToUi(reactToUi);
   dotField.setSpeed(speedInternal());
   dotField.setBreathingEnabled(breathingEnabled);
+  dotField.setGridLayout(gridLayout);
+  dotField.setGridArrangement(gridArrangement);
   dotField.setGridEnabled(gridEnabled);
+  dotField.setPointerMode(pointerMode);
 
   dotField.setExclusionRects([]);
+  // Dots flow around the text panels (and the controls while they're open) as they move,
+  // following their rounded corners.
+  dotField.excludeElements([...document.querySelectorAll('.shield'), document.querySelector('#controlsPanel')].filter(Boolean), {
+    padding: 8,
+    shape: 'rounded',
+  });
+  // ...and thin out to a few small, slow dots near the text itself.
+  dotField.haloElements([...document.querySelectorAll('.shield')], { padding: 8, shape: 'rounded' });
+  // Sections below the hero become density islands as they scroll through.
+  observeSections(dotField);
 
   const dotMinSizeEl = document.querySelector('#dotMinSize');
   const dotMinSizeValue = document.querySelector('#dotMinSizeValue');
@@ -184,16 +271,23 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
   const dotMaxSizeValue = document.querySelector('#dotMaxSizeValue');
   const dotDensityEl = document.querySelector('#dotDensity');
   const dotDensityValue = document.querySelector('#dotDensityValue');
+  const dotDensityModelEls = Array.from(document.querySelectorAll('input[name="dotDensityModel"]'));
   const dotSizeCountEl = document.querySelector('#dotSizeCount');
   const dotSizeCountValue = document.querySelector('#dotSizeCountValue');
   const dotDistributionEl = document.querySelector('#dotDistribution');
   const dotDistributionValue = document.querySelector('#dotDistributionValue');
+  const dotDistributionHistogram = document.querySelector('#dotDistributionHistogram');
+  const dotSizeSpacingEls = Array.from(document.querySelectorAll('input[name="dotSizeSpacing"]'));
   const speedEl = document.querySelector('#speed');
   const speedValue = document.querySelector('#speedValue');
   const breathingEnabledEl = document.querySelector('#breathingEnabled');
   const breathingEnabledValue = document.querySelector('#breathingEnabledValue');
   const gridEnabledEl = document.querySelector('#gridEnabled');
   const gridEnabledValue = document.querySelector('#gridEnabledValue');
+  const gridLayoutEl = document.querySelector('#gridLayout');
+  const gridArrangementEl = document.querySelector('#gridArrangement');
+  const pointerModeEl = document.querySelector('#pointerMode');
+  const densityMapEl = document.querySelector('#densityMap');
   const gravityDrop = document.querySelector('#gravityDrop');
   const restartControls = document.querySelector('#restartControls');
   const pauseControls = document.querySelector('#pauseControls');
@@ -216,50 +310,20 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
     if (exportImage instanceof HTMLButtonElement) exportImage.hidden = !paused;
   }
 
-  function downloadCanvasPng({ canvas, mode }) {
-    if (!(canvas instanceof HTMLCanvasElement)) return;
-    if (canvas.width <= 0 || canvas.height <= 0) return;
-
-    const out = document.createElement('canvas');
-    out.width = canvas.width;
-    out.height = canvas.height;
-
-    const ctx = out.getContext('2d');
-    if (!ctx) return;
-
-    ctx.fillStyle = mode === 'dark' ? '#000000' : '#ffffff';
-    ctx.fillRect(0, 0, out.width, out.height);
-    ctx.drawImage(canvas, 0, 0);
+  async function downloadFieldPng() {
+    // The field renders its own opaque background, so the frame can be saved as-is.
+    const blob = await dotField.toBlob();
+    if (!blob) return;
 
     const stamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `pointilism-${stamp}.png`;
-
-    function triggerDownload(blob) {
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = filename;
-      document.body.appendChild(a);
-      a.click();
-      a.remove();
-      setTimeout(() => URL.revokeObjectURL(url), 1500);
-    }
-
-    if (typeof out.toBlob === 'function') {
-      out.toBlob((blob) => {
-        if (!blob) return;
-        triggerDownload(blob);
-      }, 'image/png');
-      return;
-    }
-
-    const dataUrl = out.toDataURL('image/png');
+    const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
-    a.href = dataUrl;
-    a.download = filename;
+    a.href = url;
+    a.download = `pointilism-${stamp}.png`;
     document.body.appendChild(a);
     a.click();
     a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1500);
   }
 
   let controlsVisible = false;
@@ -587,15 +651,18 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
     dotUpdateScheduled = true;
     requestAnimationFrame(() => {
       dotUpdateScheduled = false;
-      dotField.setDensityScalar(dotDensity);
+      dotField.setDensity(dotDensityModel, dotDensity);
       dotField.setMinRadius(dotMinSize);
       dotField.setMaxRadius(dotMaxSize);
       dotField.setSizeCount(dotSizeCount);
-      dotField.setDistribution(dotDistribution);
+      dotField.setDistribution(distributionSpec());
+      dotField.setSizeSpacing(dotSizeSpacing);
       dotField.setAutoFitDensity(autoFit);
       dotField.setReactToUi(reactToUi);
       dotField.setSpeed(speedInternal());
       dotField.setBreathingEnabled(breathingEnabled);
+      // Sizes, count or shape may have changed, and continuous shapes depend on all three.
+      renderDistributionHistogram();
     });
   }
 
@@ -642,16 +709,64 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
     });
   }
 
+  // The slider's range and readout follow the density model.
+  function syncDensityControl() {
+    const model = densityModels[dotDensityModel];
+    for (const el of dotDensityModelEls) {
+      if (el instanceof HTMLInputElement) el.checked = el.value === dotDensityModel;
+    }
+    if (dotDensityEl instanceof HTMLInputElement) {
+      dotDensityEl.min = String(model.min);
+      dotDensityEl.max = String(model.max);
+      dotDensityEl.step = String(model.step);
+      dotDensityEl.value = String(dotDensity);
+    }
+    if (dotDensityValue instanceof HTMLOutputElement) dotDensityValue.value = model.format(dotDensity);
+  }
+
   if (dotDensityEl instanceof HTMLInputElement) {
-    dotDensityEl.value = String(dotDensity);
-    if (dotDensityValue instanceof HTMLOutputElement) dotDensityValue.value = dotDensity.toFixed(2);
+    syncDensityControl();
     dotDensityEl.addEventListener('input', () => {
       if (activePresetId) clearActivePreset();
       const next = Number(dotDensityEl.value);
       if (!Number.isFinite(next)) return;
-      dotDensity = Math.max(0.2, Math.min(3, next));
+      dotDensity = clampDensity(dotDensityModel, next);
+      localStorage.setItem('dotDensity', String(dotDensity));
+      if (dotDensityValue instanceof HTMLOutputElement) dotDensityValue.value = densityModels[dotDensityModel].format(dotDensity);
+      scheduleDotUpdate();
+    });
+  }
+
+  /** @type {number | null} */
+  let densityModelFailedTimer = null;
+  for (const el of dotDensityModelEls) {
+    if (!(el instanceof HTMLInputElement)) continue;
+    el.addEventListener('change', async () => {
+      if (!el.checked || !Object.hasOwn(densityModels, el.value)) return;
+      if (activePresetId) clearActivePreset();
+      const model = el.value;
+      // The field converts its current count, so switching model doesn't change the picture.
+      let value;
+      try {
+        value = await dotField.setDensityModel(model);
+      } catch (err) {
+        // The worker couldn't switch; put the controls back on the old model and say so briefly.
+        console.error('Switching the density model failed:', err);
+        syncDensityControl();
+        if (!(dotDensityValue instanceof HTMLOutputElement)) return;
+        dotDensityValue.value = 'FAILED';
+        if (densityModelFailedTimer != null) clearTimeout(densityModelFailedTimer);
+        densityModelFailedTimer = window.setTimeout(() => {
+          densityModelFailedTimer = null;
+          syncDensityControl();
+        }, 2000);
+        return;
+      }
+      dotDensityModel = model;
+      dotDensity = clampDensity(model, value);
+      localStorage.setItem('dotDensityModel', dotDensityModel);
       localStorage.setItem('dotDensity', String(dotDensity));
-      if (dotDensityValue instanceof HTMLOutputElement) dotDensityValue.value = dotDensity.toFixed(2);
+      syncDensityControl();
       scheduleDotUpdate();
     });
   }
@@ -687,24 +802,131 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
       case 6:
         return 'Large (curved)';
       default:
-        return 'Flat';
+        return continuousDistributions[v - 7]?.label ?? 'Flat';
+    }
+  }
+
+  function syncDistributionLabel() {
+    if (!(dotDistributionValue instanceof HTMLOutputElement)) return;
+    dotDistributionValue.value = dotDistributionWeights ? 'Custom' : distributionLabel(dotDistribution);
+  }
+
+  // Bar heights as a share of the tallest bucket, for the sizes the field is using.
+  function histogramWeights() {
+    const sizes = sizeBuckets(dotMinSize, dotMaxSize, dotSizeCount, dotSizeSpacing);
+    const weights = sizeWeights(distributionSpec(), sizes);
+    const max = Math.max(...weights);
+    return weights.map((w) => (max > 0 ? w / max : 1));
+  }
+
+  function renderDistributionHistogram() {
+    if (!(dotDistributionHistogram instanceof HTMLElement)) return;
+    const weights = histogramWeights();
+    const sizes = sizeBuckets(dotMinSize, dotMaxSize, dotSizeCount, dotSizeSpacing);
+    while (dotDistributionHistogram.children.length > weights.length) dotDistributionHistogram.lastElementChild?.remove();
+    while (dotDistributionHistogram.children.length < weights.length) {
+      const bar = document.createElement('span');
+      bar.className = 'histogram-bar';
+      bar.tabIndex = 0;
+      bar.setAttribute('role', 'slider');
+      bar.setAttribute('aria-valuemin', '0');
+      bar.setAttribute('aria-valuemax', '100');
+      dotDistributionHistogram.append(bar);
     }
+    weights.forEach((w, i) => {
+      const bar = /** @type {HTMLElement} */ (dotDistributionHistogram.children[i]);
+      const percent = Math.round(w * 100);
+      bar.style.height = `${percent}%`;
+      bar.dataset.index = String(i);
+      bar.setAttribute('aria-label', `Size ${sizes[i].toFixed(1)} px`);
+      bar.setAttribute('aria-valuenow', String(percent));
+    });
+  }
+
+  /**
+   * Switches to drawn weights (seeded from whatever is showing) and sets one bucket.
+   * @param {number} index
+   * @param {number} weight 0..1 of the histogram height
+   */
+  function setHistogramWeight(index, weight) {
+    if (activePresetId) clearActivePreset();
+    const weights = histogramWeights();
+    if (index < 0 || index >= weights.length) return;
+    weights[index] = clamp(weight, 0, 1);
+    dotDistributionWeights = weights;
+    localStorage.setItem('dotDistributionWeights', JSON.stringify(dotDistributionWeights));
+    syncDistributionLabel();
+    renderDistributionHistogram();
+    scheduleDotUpdate();
   }
 
   if (dotDistributionEl instanceof HTMLInputElement) {
+    dotDistributionEl.max = String(maxDistribution);
     dotDistributionEl.value = String(dotDistribution);
-    if (dotDistributionValue instanceof HTMLOutputElement) {
-      dotDistributionValue.value = distributionLabel(dotDistribution);
-    }
+    syncDistributionLabel();
     dotDistributionEl.addEventListener('input', () => {
       if (activePresetId) clearActivePreset();
       const next = Number(dotDistributionEl.value);
       if (!Number.isFinite(next)) return;
       dotDistribution = next;
+      // Picking a shape discards a drawn histogram.
+      dotDistributionWeights = null;
       localStorage.setItem('dotDistribution', String(dotDistribution));
-      if (dotDistributionValue instanceof HTMLOutputElement) {
-        dotDistributionValue.value = distributionLabel(dotDistribution);
-      }
+      localStorage.removeItem('dotDistributionWeights');
+      syncDistributionLabel();
+      scheduleDotUpdate();
+    });
+  }
+
+  if (dotDistributionHistogram instanceof HTMLElement) {
+    renderDistributionHistogram();
+
+    /** @param {PointerEvent} e */
+    const drawAt = (e) => {
+      const rect = dotDistributionHistogram.getBoundingClientRect();
+      const count = dotDistributionHistogram.children.length;
+      if (rect.width <= 0 || rect.height <= 0 || count === 0) return;
+      const index = clamp(Math.floor(((e.clientX - rect.left) / rect.width) * count), 0, count - 1);
+      setHistogramWeight(index, 1 - (e.clientY - rect.top) / rect.height);
+    };
+    dotDistributionHistogram.addEventListener('pointerdown', (e) => {
+      dotDistributionHistogram.setPointerCapture(e.pointerId);
+      drawAt(e);
+    });
+    dotDistributionHistogram.addEventListener('pointermove', (e) => {
+      if (dotDistributionHistogram.hasPointerCapture(e.pointerId)) drawAt(e);
+    });
+    dotDistributionHistogram.addEventListener('keydown', (e) => {
+      const bar = e.target;
+      if (!(bar instanceof HTMLElement) || bar.dataset.index == null) return;
+      const index = Number(bar.dataset.index);
+      const current = Number(bar.getAttribute('aria-valuenow')) / 100;
+      const step = e.shiftKey ? 0.2 : 0.05;
+      let next = null;
+      if (e.key === 'ArrowUp' || e.key === 'ArrowRight') next = current + step;
+      else if (e.key === 'ArrowDown' || e.key === 'ArrowLeft') next = current - step;
+      else if (e.key === 'Home') next = 0;
+      else if (e.key === 'End') next = 1;
+      if (next == null) return;
+      e.preventDefault();
+      setHistogramWeight(index, next);
+    });
+  }
+
+  function syncSizeSpacingControl() {
+    for (const el of dotSizeSpacingEls) {
+      if (el instanceof HTMLInputElement) el.checked = el.value === dotSizeSpacing;
+    }
+  }
+
+  syncSizeSpacingControl();
+  for (const el of dotSizeSpacingEls) {
+    if (!(el instanceof HTMLInputElement)) continue;
+    el.addEventListener('change', () => {
+      if (!el.checked) return;
+      if (activePresetId) clearActivePreset();
+      dotSizeSpacing = el.value === 'geometric' ? 'geometric' : 'linear';
+      localStorage.setItem('dotSizeSpacing', dotSizeSpacing);
       scheduleDotUpdate();
     });
   }
@@ -784,7 +1006,173 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
     });
   }
 
+  if (gridLayoutEl instanceof HTMLSelectElement) {
+    gridLayoutEl.value = gridLayout;
+    gridLayoutEl.addEventListener('change', () => {
+      if (activePresetId) clearActivePreset();
+      gridLayout = gridLayoutEl.value;
+      // With grid on the dots re-snap to the new lattice right away.
+      dotField.setGridLayout(gridLayout);
+    });
+  }
+
+  if (gridArrangementEl instanceof HTMLSelectElement) {
+    gridArrangementEl.value = gridArrangement;
+    gridArrangementEl.addEventListener('change', () => {
+      if (activePresetId) clearActivePreset();
+      gridArrangement = gridArrangementEl.value;
+      dotField.setGridArrangement(gridArrangement);
+    });
+  }
+
+  // Where the field's pointers are, in viewport CSS pixels: the mouse while it's over the
+  // page, each finger or pen while it's down, and whichever control has keyboard focus.
+  /** @type {Map<number | string, { id: number | string; x: number; y: number }>} */
+  const pointers = new Map();
+  let pointerSyncScheduled = false;
+  function schedulePointerSync() {
+    if (pointerSyncScheduled) return;
+    pointerSyncScheduled = true;
+    requestAnimationFrame(() => {
+      pointerSyncScheduled = false;
+      dotField.setPointers(pointerMode === 'off' ? [] : Array.from(pointers.values()));
+    });
+  }
+
+  /** @param {PointerEvent} event */
+  function trackPointer(event) {
+    pointers.set(event.pointerId, { id: event.pointerId, x: event.clientX, y: event.clientY });
+    if (pointerMode !== 'off') schedulePointerSync();
+  }
+
+  /** @param {PointerEvent} event */
+  function releasePointer(event) {
+    // The mouse stays a pointer between clicks; touches and pens end when lifted.
+    if (event.type === 'pointerup' && event.pointerType === 'mouse') return;
+    if (pointers.delete(event.pointerId) && pointerMode !== 'off') schedulePointerSync();
+  }
+
+  window.addEventListener('pointermove', trackPointer, { passive: true });
+  window.addEventListener('pointerdown', trackPointer, { passive: true });
+  window.addEventListener('pointerup', releasePointer, { passive: true });
+  window.addEventListener('pointercancel', releasePointer, { passive: true });
+  document.addEventListener('pointerout', (event) => {
+    // No related target means the pointer left the window.
+    if (!event.relatedTarget) releasePointer(event);
+  });
+
+  const focusPointerId = 'focus';
+  function isKeyboardFocus(el) {
+    try {
+      return el.matches(':focus-visible');
+    } catch {
+      return true;
+    }
+  }
+
+  document.addEventListener('focusin', (event) => {
+    const el = event.target;
+    // A click already placed a pointer; only keyboard focus stands in for one.
+    if (!(el instanceof HTMLElement) || el === document.querySelector('#content') || !isKeyboardFocus(el)) return;
+    const rect = el.getBoundingClientRect();
+    pointers.set(focusPointerId, {
+      id: focusPointerId,
+      x: (rect.left + rect.right) / 2,
+      y: (rect.top + rect.bottom) / 2,
+    });
+    if (pointerMode !== 'off') schedulePointerSync();
+  });
+  document.addEventListener('focusout', () => {
+    if (pointers.delete(focusPointerId) && pointerMode !== 'off') schedulePointerSync();
+  });
+
+  // Intent-driven nav: the band wakes when the pointer nears the top or a nav link has keyboard
+  // focus, and the dots gather under each label (most under the one pointed at or focused).
+  const navBand = document.querySelector('#navBand');
+  const navLinks = Array.from(document.querySelectorAll('.nav-link'));
+  // How far below the band the pointer still counts as heading for it (CSS px).
+  const navProximityPx = 48;
+  let navBandBottom = 0;
+  let navPointerNear = false;
+  /** @type {number | null} */
+  let navPointerItem = null;
+  /** @type {number | null} */
+  let navFocusItem = null;
+  let navActive = false;
+  /** @type {number | null} */
+  let navItem = null;
+
+  function syncNav() {
+    const active = navPointerNear || navFocusItem != null;
+    const item = navFocusItem ?? navPointerItem;
+    if (active === navActive && item === navItem) return;
+    // Measured on waking so the anchors follow the labels wherever the layout put them.
+    if (active && !navActive) dotField.setNavElements(navLinks);
+    navActive = active;
+    navItem = item;
+    if (navBand instanceof HTMLElement) navBand.classList.toggle('is-active', active);
+    navLinks.forEach((link, i) => link.classList.toggle('is-active', i === item));
+    dotField.setNavActive(active, item);
+  }
+
+  if (navBand instanceof HTMLElement && navLinks.length > 0) {
+    navBandBottom = navBand.getBoundingClientRect().bottom;
+    window.addEventListener(
+      'pointermove',
+      (event) => {
+        navPointerNear = event.clientY <= navBandBottom + navProximityPx;
+        const link = event.target instanceof Element ? event.target.closest('.nav-link') : null;
+        navPointerItem = navPointerNear && link ? navLinks.indexOf(link) : null;
+        syncNav();
+      },
+      { passive: true }
+    );
+    document.addEventListener('pointerout', (event) => {
+      if (event.relatedTarget) return;
+      navPointerNear = false;
+      navPointerItem = null;
+      syncNav();
+    });
+    navBand.addEventListener('focusin', (event) => {
+      const i = navLinks.indexOf(event.target);
+      navFocusItem = i >= 0 && isKeyboardFocus(event.target) ? i : null;
+      syncNav();
+    });
+    navBand.addEventListener('focusout', () => {
+      navFocusItem = null;
+      syncNav();
+    });
+    window.addEventListener(
+      'resize',
+      () => {
+        navBandBottom = navBand.getBoundingClientRect().bottom;
+        if (navActive) dotField.setNavElements(navLinks);
+      },
+      { passive: true }
+    );
+  }
+
+  if (pointerModeEl instanceof HTMLSelectElement) {
+    pointerModeEl.value = pointerMode;
+    // Not part of any preset, so changing it leaves the active preset highlighted.
+    pointerModeEl.addEventListener('change', () => {
+      pointerMode = pointerModeEl.value;
+      dotField.setPointerMode(pointerMode);
+      schedulePointerSync();
+    });
+  }
+
+  if (densityMapEl instanceof HTMLSelectElement) {
+    densityMapEl.value = densityMap;
+    // Also outside the presets; it only moves where the dots go, not how many or how big.
+    densityMapEl.addEventListener('change', () => {
+      densityMap = densityMapEl.value;
+      dotField.setDensityMap(densityMap === 'none' ? null : densityMap);
+    });
+  }
+
   gravityDrop?.addEventListener('click', () => {
+    if (gravityDrop.getAttribute('aria-disabled') === 'true') return;
     if (activePresetId) clearActivePreset();
     if (gridEnabled) {
       gridEnabled = false;
@@ -808,11 +1196,14 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
     dotField.dropToBottom();
   });
 
-  /** @type {Record<string, { dotMinSize: number; dotMaxSize: number; dotDensity: number; dotSizeCount: number; dotDistribution: number; speed: number; breathingEnabled: boolean; gridEnabled: boolean }>} */
+  const PRESET_TRANSITION_MS = 900;
+
+  /** @type {Record<string, { dotMinSize: number; dotMaxSize: number; dotDensityModel: string; dotDensity: number; dotSizeCount: number; dotDistribution: number; dotSizeSpacing?: string; gridLayout?: string; gridArrangement?: string; speed: number; breathingEnabled: boolean; gridEnabled: boolean }>} */
   const presets = {
     default: {
       dotMinSize: defaults.dotMinSize,
       dotMaxSize: defaults.dotMaxSize,
+      dotDensityModel: defaults.dotDensityModel,
       dotDensity: defaults.dotDensity,
       dotSizeCount: defaults.dotSizeCount,
       dotDistribution: defaults.dotDistribution,
@@ -823,7 +1214,8 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
     sparseGiants: {
       dotMinSize: 10,
       dotMaxSize: 100,
-      dotDensity: 0.2,
+      dotDensityModel: 'area',
+      dotDensity: 19,
       dotSizeCount: 15,
       dotDistribution: 6, // Large (curved)
       speed: 0.6,
@@ -833,7 +1225,8 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
     micrograin: {
       dotMinSize: 2,
       dotMaxSize: 7,
-      dotDensity: 3.0,
+      dotDensityModel: 'area',
+      dotDensity: 278,
       dotSizeCount: 5,
       dotDistribution: 0, // Small (linear)
       speed: 2.0,
@@ -843,7 +1236,8 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
     bondGrid: {
       dotMinSize: 5,
       dotMaxSize: 25,
-      dotDensity: 1.0,
+      dotDensityModel: 'area',
+      dotDensity: 93,
       dotSizeCount: 2,
       dotDistribution: 2, // Bell curve
       speed: 0.0,
@@ -853,7 +1247,8 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
     highContrastMix: {
       dotMinSize: 4,
       dotMaxSize: 50,
-      dotDensity: 0.5,
+      dotDensityModel: 'area',
+      dotDensity: 46,
       dotSizeCount: 15,
       dotDistribution: 3, // Flat
       speed: 0.0,
@@ -863,7 +1258,8 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
     posterGrid: {
       dotMinSize: 3,
       dotMaxSize: 30,
-      dotDensity: 1.0,
+      dotDensityModel: 'area',
+      dotDensity: 93,
       dotSizeCount: 15,
       dotDistribution: 0, // Small (linear)
       speed: 0.0,
@@ -904,12 +1300,17 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
 
     dotMinSize = preset.dotMinSize;
     dotMaxSize = preset.dotMaxSize;
-    dotDensity = Math.max(0.2, Math.min(3, preset.dotDensity));
+    dotDensityModel = preset.dotDensityModel;
+    dotDensity = clampDensity(dotDensityModel, preset.dotDensity);
     dotSizeCount = preset.dotSizeCount;
     dotDistribution = preset.dotDistribution;
+    dotDistributionWeights = null;
+    dotSizeSpacing = preset.dotSizeSpacing ?? defaults.dotSizeSpacing;
     speed = preset.speed;
     breathingEnabled = preset.breathingEnabled;
     gridEnabled = preset.gridEnabled;
+    gridLayout = preset.gridLayout ?? 'rect';
+    gridArrangement = preset.gridArrangement ?? 'none';
 
     if (gridEnabled) breathingEnabled = false;
     if (breathingEnabled) gridEnabled = false;
@@ -917,15 +1318,34 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
     clampMinMaxSizes();
     localStorage.setItem('dotMinSize', String(dotMinSize));
     localStorage.setItem('dotMaxSize', String(dotMaxSize));
+    localStorage.setItem('dotDensityModel', dotDensityModel);
     localStorage.setItem('dotDensity', String(dotDensity));
     localStorage.setItem('dotSizeCount', String(dotSizeCount));
     localStorage.setItem('dotDistribution', String(dotDistribution));
+    localStorage.removeItem('dotDistributionWeights');
+    localStorage.setItem('dotSizeSpacing', dotSizeSpacing);
     localStorage.setItem('speed', String(speed));
     localStorage.setItem('breathingEnabled', String(breathingEnabled));
     localStorage.setItem('gridEnabled', String(gridEnabled));
 
     syncControlValues();
-    scheduleDotUpdate();
+    // Morph the current dots into the preset rather than cutting to a fresh spawn.
+    dotField.transitionTo(
+      {
+        density: dotDensity,
+        densityModel: dotDensityModel,
+        minRadius: dotMinSize,
+        maxRadius: dotMaxSize,
+        sizeCount: dotSizeCount,
+        distribution: distributionSpec(),
+        sizeSpacing: dotSizeSpacing,
+        speed: speedInternal(),
+      },
+      { durationMs: PRESET_TRANSITION_MS }
+    );
+    dotField.setBreathingEnabled(breathingEnabled);
+    dotField.setGridLayout(gridLayout);
+    dotField.setGridArrangement(gridArrangement);
     dotField.setGridEnabled(gridEnabled);
   }
 
@@ -949,18 +1369,21 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
     if (dotMinSizeValue instanceof HTMLOutputElement) dotMinSizeValue.value = dotMinSize.toFixed(1);
     if (dotMaxSizeEl instanceof HTMLInputElement) dotMaxSizeEl.value = String(dotMaxSize);
     if (dotMaxSizeValue instanceof HTMLOutputElement) dotMaxSizeValue.value = dotMaxSize.toFixed(0);
-    if (dotDensityEl instanceof HTMLInputElement) dotDensityEl.value = String(dotDensity);
-    if (dotDensityValue instanceof HTMLOutputElement) dotDensityValue.value = dotDensity.toFixed(2);
+    syncDensityControl();
     if (dotSizeCountEl instanceof HTMLInputElement) dotSizeCountEl.value = String(dotSizeCount);
     if (dotSizeCountValue instanceof HTMLOutputElement) dotSizeCountValue.value = String(dotSizeCount);
     if (dotDistributionEl instanceof HTMLInputElement) dotDistributionEl.value = String(dotDistribution);
-    if (dotDistributionValue instanceof HTMLOutputElement) dotDistributionValue.value = distributionLabel(dotDistribution);
+    syncDistributionLabel();
+    syncSizeSpacingControl();
+    renderDistributionHistogram();
     if (speedEl instanceof HTMLInputElement) speedEl.value = String(speed);
     if (speedValue instanceof HTMLOutputElement) speedValue.value = speed.toFixed(2);
     if (breathingEnabledEl instanceof HTMLInputElement) breathingEnabledEl.checked = breathingEnabled;
     if (breathingEnabledValue instanceof HTMLOutputElement) breathingEnabledValue.value = breathingEnabled ? 'On' : 'Off';
     if (gridEnabledEl instanceof HTMLInputElement) gridEnabledEl.checked = gridEnabled;
     if (gridEnabledValue instanceof HTMLOutputElement) gridEnabledValue.value = gridEnabled ? 'On' : 'Off';
+    if (gridLayoutEl instanceof HTMLSelectElement) gridLayoutEl.value = gridLayout;
+    if (gridArrangementEl instanceof HTMLSelectElement) gridArrangementEl.value = gridArrangement;
   }
 
   restartControls?.addEventListener('click', () => {
@@ -970,11 +1393,12 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
       syncPauseControls();
     }
 
-    dotField.setDensityScalar(dotDensity);
+    dotField.setDensity(dotDensityModel, dotDensity);
     dotField.setMinRadius(dotMinSize);
     dotField.setMaxRadius(dotMaxSize);
     dotField.setSizeCount(dotSizeCount);
-    dotField.setDistribution(dotDistribution);
+    dotField.setDistribution(distributionSpec());
+    dotField.setSizeSpacing(dotSizeSpacing);
     dotField.setAutoFitDensity(autoFit);
     dotField.setReactToUi(reactToUi);
     dotField.setSpeed(speedInternal());
@@ -997,14 +1421,41 @@ import { DotField } from './dotField.js?v=2025-12-13-90';
     syncPauseControls();
   });
 
+  /** @type {number | null} */
+  let exportFailedTimer = null;
   exportImage?.addEventListener('click', () => {
-    const canvas = document.querySelector('#dotfield');
-    downloadCanvasPng({ canvas, mode });
+    downloadFieldPng().catch((err) => {
+      // toBlob can reject (e.g. the worker's canvas is gone); say so on the button for a moment.
+      console.error('Saving the dot field failed:', err);
+      if (!(exportImage instanceof HTMLButtonElement)) return;
+      exportImage.textContent = 'SAVE FAILED';
+      if (exportFailedTimer != null) clearTimeout(exportFailedTimer);
+      exportFailedTimer = window.setTimeout(() => {
+        exportFailedTimer = null;
+        exportImage.textContent = 'SAVE IMAGE';
+      }, 2000);
+    });
   });
 
   syncControlValues();
   syncPauseControls();
 
+  // Keep controls in step with what the field is actually doing rather than guessing durations.
+  dotField.addEventListener('dropstart', () => {
+    gravityDrop?.setAttribute('aria-disabled', 'true');
+  });
+  dotField.addEventListener('settled', () => {
+    gravityDrop?.removeAttribute('aria-disabled');
+  });
+  dotField.addEventListener('paused', () => {
+    paused = true;
+    syncPauseControls();
+  });
+  dotField.addEventListener('resumed', () => {
+    paused = false;
+    syncPauseControls();
+  });
+
   // Clean up legacy storage keys from earlier slider iterations.
   localStorage.removeItem('dotScale');
   localStorage.removeItem('dotVariance');
@@ -0,0 +1,283 @@
+/**
+ * Shapes that keep dots out (exclusion) or in (inclusion): rounded rects, circles, ellipses
+ * and polygons. Each is queried by signed distance, negative inside, together with the outward
+ * surface normal, so dots can be pushed straight off the surface rather than to the nearest
+ * side of a bounding box. Units are the caller's: the sim keeps CSS pixels and scales to device
+ * pixels when it queries.
+ *
+ * @typedef {{ type: 'rect'; left: number; top: number; right: number; bottom: number; radius?: number }} RectShape
+ *   `radius` rounds the corners (clamped to half the shorter side).
+ * @typedef {{ type: 'circle'; x: number; y: number; r: number }} CircleShape
+ * @typedef {{ type: 'ellipse'; x: number; y: number; rx: number; ry: number }} EllipseShape
+ * @typedef {{ type: 'polygon'; points: [number, number][] }} PolygonShape
+ *   Points in order, either winding; the last joins back to the first.
+ * @typedef {RectShape | CircleShape | EllipseShape | PolygonShape} Shape
+ * @typedef {Shape & { include?: boolean }} Region
+ *   With `include`, dots are confined to the shape (to any one of several) instead of kept out.
+ * @typedef {{ d: number; nx: number; ny: number }} SurfaceHit
+ */
+
+/**
+ * Validates a region and copies it, or returns null if it can't be used. A bare
+ * `{ left, top, right, bottom }` is read as a rect, as `setExclusionRects()` has always taken.
+ * @param {any} region
+ * @returns {Region | null}
+ */
+export function normalizeRegion(region) {
+  if (!region || typeof region !== 'object') return null;
+  const include = region.include ? { include: true } : {};
+  const type = region.type ?? 'rect';
+  const finite = (...values) => values.every((v) => Number.isFinite(v));
+
+  if (type === 'rect') {
+    const { left, top, right, bottom } = region;
+    if (!finite(left, top, right, bottom) || right < left || bottom < top) return null;
+    const radius = Math.max(0, Math.min(Number(region.radius) || 0, (right - left) / 2, (bottom - top) / 2));
+    return { type, left, top, right, bottom, ...(radius > 0 ? { radius } : {}), ...include };
+  }
+  if (type === 'circle') {
+    const { x, y, r } = region;
+    if (!finite(x, y, r) || r <= 0) return null;
+    return { type, x, y, r, ...include };
+  }
+  if (type === 'ellipse') {
+    const { x, y, rx, ry } = region;
+    if (!finite(x, y, rx, ry) || rx <= 0 || ry <= 0) return null;
+    return { type, x, y, rx, ry, ...include };
+  }
+  if (type === 'polygon') {
+    if (!Array.isArray(region.points)) return null;
+    /** @type {[number, number][]} */
+    const points = region.points.map((p) => (Array.isArray(p) ? [p[0], p[1]] : [p?.x, p?.y]));
+    if (points.length < 3 || !points.every(([px, py]) => finite(px, py))) return null;
+    return { type, points, ...include };
+  }
+  return null;
+}
+
+/**
+ * Signed distance from (`x`, `y`) to the shape's surface (negative inside) and the outward
+ * normal there, written into `out`.
+ * @param {Shape} shape
+ * @param {number} x
+ * @param {number} y
+ * @param {SurfaceHit} out
+ * @returns {SurfaceHit} `out`
+ */
+export function surfaceDistance(shape, x, y, out) {
+  switch (shape.type) {
+    case 'rect':
+      return roundedRectDistance(shape, x, y, out);
+    case 'circle':
+      return circleDistance(shape.x, shape.y, shape.r, x, y, out);
+    case 'ellipse':
+      return ellipseDistance(shape, x, y, out);
+    default:
+      return polygonDistance(shape.points, x, y, out);
+  }
+}
+
+/**
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} r
+ * @param {number} x
+ * @param {number} y
+ * @param {SurfaceHit} out
+ */
+function circleDistance(cx, cy, r, x, y, out) {
+  const dx = x - cx;
+  const dy = y - cy;
+  const len = Math.hypot(dx, dy);
+  out.d = len - r;
+  // Dead centre has no direction; any will do, so pick one that's stable.
+  out.nx = len > 1e-9 ? dx / len : 1;
+  out.ny = len > 1e-9 ? dy / len : 0;
+  return out;
+}
+
+/**
+ * @param {RectShape} rect
+ * @param {number} x
+ * @param {number} y
+ * @param {SurfaceHit} out
+ */
+function roundedRectDistance(rect, x, y, out) {
+  const radius = rect.radius ?? 0;
+  const cx = (rect.left + rect.right) / 2;
+  const cy = (rect.top + rect.bottom) / 2;
+  const px = x - cx;
+  const py = y - cy;
+  const sx = px < 0 ? -1 : 1;
+  const sy = py < 0 ? -1 : 1;
+  // Distance past the inner (corner-centre) rect on each axis.
+  const qx = Math.abs(px) - ((rect.right - rect.left) / 2 - radius);
+  const qy = Math.abs(py) - ((rect.bottom - rect.top) / 2 - radius);
+
+  if (qx > 0 && qy > 0) {
+    // Beside a corner: the surface is the corner's arc.
+    const len = Math.hypot(qx, qy);
+    out.d = len - radius;
+    out.nx = (qx / len) * sx;
+    out.ny = (qy / len) * sy;
+  } else if (qx > qy) {
+    out.d = qx - radius;
+    out.nx = sx;
+    out.ny = 0;
+  } else {
+    out.d = qy - radius;
+    out.nx = 0;
+    out.ny = sy;
+  }
+  return out;
+}
+
+/**
+ * Approximate: exact ellipse distance needs a root solve, and dots only need the sign, a
+ * distance that's right near the surface, and a normal that points the right way.
+ * @param {EllipseShape} ellipse
+ * @param {number} x
+ * @param {number} y
+ * @param {SurfaceHit} out
+ */
+function ellipseDistance(ellipse, x, y, out) {
+  const { rx, ry } = ellipse;
+  if (Math.abs(rx - ry) < 1e-9) return circleDistance(ellipse.x, ellipse.y, rx, x, y, out);
+  const px = x - ellipse.x;
+  const py = y - ellipse.y;
+  const k0 = Math.hypot(px / rx, py / ry);
+  const gx = px / (rx * rx);
+  const gy = py / (ry * ry);
+  const k1 = Math.hypot(gx, gy);
+  if (k1 < 1e-12) {
+    // The centre: the nearest surface is the end of the minor axis.
+    out.d = -Math.min(rx, ry);
+    out.nx = rx < ry ? 1 : 0;
+    out.ny = rx < ry ? 0 : 1;
+    return out;
+  }
+  out.d = (k0 * (k0 - 1)) / k1;
+  out.nx = gx / k1;
+  out.ny = gy / k1;
+  return out;
+}
+
+/**
+ * @param {[number, number][]} points
+ * @param {number} x
+ * @param {number} y
+ * @param {SurfaceHit} out
+ */
+function polygonDistance(points, x, y, out) {
+  let best = Infinity;
+  let bx = 0;
+  let by = 0;
+  let inside = false;
+  // Edge normal of the nearest edge, for points lying exactly on the outline.
+  let ex = 1;
+  let ey = 0;
+
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [ax, ay] = points[j];
+    const [cx, cy] = points[i];
+    const dx = cx - ax;
+    const dy = cy - ay;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 > 0 ? Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / len2)) : 0;
+    const qx = ax + dx * t;
+    const qy = ay + dy * t;
+    const d2 = (x - qx) * (x - qx) + (y - qy) * (y - qy);
+    if (d2 < best) {
+      best = d2;
+      bx = qx;
+      by = qy;
+      const len = Math.sqrt(len2) || 1;
+      ex = dy / len;
+      ey = -dx / len;
+    }
+    // Crossing test for the sign.
+    if (ay > y !== cy > y && x < ((cx - ax) * (y - ay)) / (cy - ay) + ax) inside = !inside;
+  }
+
+  const dist = Math.sqrt(best);
+  const sign = inside ? -1 : 1;
+  out.d = dist * sign;
+  if (dist > 1e-9) {
+    // From the surface towards the point is outward outside, inward inside.
+    out.nx = ((x - bx) / dist) * sign;
+    out.ny = ((y - by) / dist) * sign;
+  } else {
+    // On the outline: fall back to the edge normal, flipped to face out of the polygon.
+    const probe = 1e-3;
+    const outward = pointInPolygon(points, x + ex * probe, y + ey * probe) ? -1 : 1;
+    out.nx = ex * outward;
+    out.ny = ey * outward;
+  }
+  return out;
+}
+
+/**
+ * @param {[number, number][]} points
+ * @param {number} x
+ * @param {number} y
+ */
+function pointInPolygon(points, x, y) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [ax, ay] = points[j];
+    const [cx, cy] = points[i];
+    if (ay > y !== cy > y && x < ((cx - ax) * (y - ay)) / (cy - ay) + ax) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Whether a dot of padded radius `pad` at (`x`, `y`) sits clear of every exclusion and, when
+ * there are inclusion regions, wholly inside one of them.
+ * @param {Region[]} regions
+ * @param {number} x
+ * @param {number} y
+ * @param {number} pad
+ * @param {SurfaceHit} hit scratch
+ */
+export function fitsRegions(regions, x, y, pad, hit) {
+  let confined = false;
+  let included = false;
+  for (const region of regions) {
+    if (region.include) {
+      confined = true;
+      if (!included && surfaceDistance(region, x, y, hit).d <= -pad) included = true;
+      continue;
+    }
+    if (surfaceDistance(region, x, y, hit).d < pad) return false;
+  }
+  return !confined || included;
+}
+
+/**
+ * A copy of `region` with every coordinate multiplied by `s` (CSS to device pixels).
+ * @param {Region} region
+ * @param {number} s
+ * @returns {Region}
+ */
+export function scaleRegion(region, s) {
+  const include = region.include ? { include: true } : {};
+  switch (region.type) {
+    case 'rect':
+      return {
+        type: 'rect',
+        left: region.left * s,
+        top: region.top * s,
+        right: region.right * s,
+        bottom: region.bottom * s,
+        ...(region.radius ? { radius: region.radius * s } : {}),
+        ...include,
+      };
+    case 'circle':
+      return { type: 'circle', x: region.x * s, y: region.y * s, r: region.r * s, ...include };
+    case 'ellipse':
+      return { type: 'ellipse', x: region.x * s, y: region.y * s, rx: region.rx * s, ry: region.ry * s, ...include };
+    default:
+      return { type: 'polygon', points: region.points.map(([px, py]) => [px * s, py * s]), ...include };
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Scroll-driven section state ("density islands"): every element with `data-section` pulls
+ * the dot field towards itself while it's on screen, and the field loosens when it leaves.
+ *
+ * An IntersectionObserver tracks which sections are in view; on scroll and resize the visible
+ * ones are measured (at most once a frame) and the one covering the most of the viewport
+ * becomes the field's active section, with an anchor at the centre of its visible part.
+ * `data-section-strength` scales that anchor (default 1; `0` marks the section active without
+ * pulling, e.g. a hero with its own choreography).
+ *
+ * @typedef {import('./dotFieldSim.js').Anchor} Anchor
+ * @typedef {{
+ *   setActiveSection(section: string | null): void;
+ *   setSectionAnchor(anchor: Anchor | null): void;
+ *   disperse(durationMs: number): void;
+ * }} SectionTarget
+ */
+
+// Visibility steps the observer reports at; scroll fills in between while a section is in view.
+const THRESHOLDS = [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1];
+// Anchor strength with the section filling the viewport; it scales down with visibility.
+const MAX_STRENGTH = 1.2;
+// The anchor's pull widens with the section, within these bounds (CSS pixels).
+const MIN_RADIUS = 120;
+const MAX_RADIUS = 420;
+// How long the field loosens when the active section scrolls away.
+const DISPERSE_MS = 500;
+
+/**
+ * Starts driving `field` from the `[data-section]` elements under `root`.
+ * @param {SectionTarget} field
+ * @param {ParentNode=} root
+ * @returns {() => void} stops observing and clears the field's section state
+ */
+export function observeSections(field, root = document) {
+  /** @type {HTMLElement[]} */
+  const sections = Array.from(root.querySelectorAll('[data-section]')).filter((el) => el instanceof HTMLElement);
+  if (sections.length === 0 || typeof IntersectionObserver !== 'function') return () => {};
+
+  /** @type {Set<HTMLElement>} */
+  const visible = new Set();
+  /** @type {HTMLElement | null} */
+  let active = null;
+  let scheduled = false;
+  let stopped = false;
+
+  function update() {
+    scheduled = false;
+    if (stopped) return;
+    const viewportW = window.innerWidth;
+    const viewportH = window.innerHeight;
+
+    /** @type {HTMLElement | null} */
+    let best = null;
+    let bestShare = 0;
+    /** @type {Anchor | null} */
+    let anchor = null;
+    for (const el of visible) {
+      const rect = el.getBoundingClientRect();
+      const top = Math.max(0, rect.top);
+      const bottom = Math.min(viewportH, rect.bottom);
+      const left = Math.max(0, rect.left);
+      const right = Math.min(viewportW, rect.right);
+      if (bottom <= top || right <= left) continue;
+      // Share of the viewport it covers, or of itself for a section shorter than the viewport,
+      // so a short footer still counts as fully in view.
+      const share = Math.min(1, (bottom - top) / Math.min(viewportH, Math.max(1, rect.height)));
+      if (share <= bestShare) continue;
+      best = el;
+      bestShare = share;
+      const weight = Number(el.dataset.sectionStrength ?? 1) || 0;
+      anchor =
+        weight > 0
+          ? {
+              x: (left + right) / 2,
+              y: (top + bottom) / 2,
+              strength: MAX_STRENGTH * weight * share,
+              radius: Math.max(MIN_RADIUS, Math.min(MAX_RADIUS, (bottom - top) / 2)),
+            }
+          : null;
+    }
+
+    if (best !== active) {
+      if (active) field.disperse(DISPERSE_MS);
+      active = best;
+      field.setActiveSection(best ? best.dataset.section ?? null : null);
+    }
+    field.setSectionAnchor(anchor);
+  }
+
+  function schedule() {
+    if (scheduled) return;
+    scheduled = true;
+    requestAnimationFrame(update);
+  }
+
+  const observer = new IntersectionObserver(
+    (entries) => {
+      for (const entry of entries) {
+        if (!(entry.target instanceof HTMLElement)) continue;
+        if (entry.isIntersecting) visible.add(entry.target);
+        else visible.delete(entry.target);
+      }
+      schedule();
+    },
+    { threshold: THRESHOLDS }
+  );
+  for (const el of sections) observer.observe(el);
+
+  // Only worth measuring while something is on screen; the observer covers sections arriving.
+  const onScroll = () => {
+    if (visible.size > 0) schedule();
+  };
+  window.addEventListener('scroll', onScroll, { passive: true });
+  window.addEventListener('resize', onScroll, { passive: true });
+
+  return () => {
+    stopped = true;
+    observer.disconnect();
+    window.removeEventListener('scroll', onScroll);
+    window.removeEventListener('resize', onScroll);
+    visible.clear();
+    active = null;
+    field.setActiveSection(null);
+    field.setSectionAnchor(null);
+  };
+}
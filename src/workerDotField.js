@@ -0,0 +1,534 @@
+import { trackGroup } from './elementTracker.js?v=2025-12-13-2';
+import { readDensitySource, sampleDensityMap } from './densityMap.js?v=2025-12-13-2';
+
+/**
+ * @typedef {'dark' | 'light'} Mode
+ * @typedef {import('./dotFieldSim.js').Anchor} Anchor
+ * @typedef {import('./dotFieldSim.js').Rect} Rect
+ * @typedef {import('./regions.js').Region} Region
+ * @typedef {import('./dotField.js').Options} Options
+ * @typedef {import('./dotField.js').Snapshot} Snapshot
+ * @typedef {import('./dotField.js').ForceOptions} ForceOptions
+ * @typedef {import('./dotField.js').ForceSource} ForceSource
+ * @typedef {import('./dotFieldSim.js').TransitionParams} TransitionParams
+ * @typedef {import('./dotFieldSim.js').SpawnStrategy} SpawnStrategy
+ * @typedef {import('./dotFieldSim.js').DensityModel} DensityModel
+ * @typedef {import('./dotFieldSim.js').ContinuousDistribution} ContinuousDistribution
+ * @typedef {import('./dotFieldSim.js').SizeSpacing} SizeSpacing
+ * @typedef {import('./gridLayout.js').GridLayout} GridLayout
+ * @typedef {import('./gridLayout.js').GridAssignment} GridAssignment
+ * @typedef {import('./gridLayout.js').GridArrangement} GridArrangement
+ * @typedef {import('./dotFieldSim.js').GridStagger} GridStagger
+ * @typedef {import('./dotFieldSim.js').PointerMode} PointerMode
+ * @typedef {import('./dotFieldSim.js').PointerOptions} PointerOptions
+ * @typedef {import('./dotFieldSim.js').PointerState} PointerState
+ * @typedef {import('./dotField.js').ExcludeOptions} ExcludeOptions
+ * @typedef {import('./dotFieldSim.js').HaloOptions} HaloOptions
+ * @typedef {import('./densityMap.js').DensityMapSource} DensityMapSource
+ * @typedef {import('./dotFieldSim.js').DensityMapOptions} DensityMapOptions
+ */
+
+/** @type {boolean | null} */
+let moduleWorkers = null;
+
+/**
+ * Whether this browser understands `new Worker(url, { type: 'module' })`. One that doesn't
+ * know the option never reads it, so the getter is the tell; the bad URL then makes sure no
+ * worker actually starts.
+ */
+function supportsModuleWorkers() {
+  if (moduleWorkers == null) {
+    moduleWorkers = false;
+    try {
+      new Worker('blob://', {
+        get type() {
+          moduleWorkers = true;
+          return /** @type {const} */ ('module');
+        },
+      }).terminate();
+    } catch {
+      // Expected: the URL is invalid on purpose.
+    }
+  }
+  return moduleWorkers;
+}
+
+/**
+ * Main-thread handle for a dot field running in `dotFieldWorker.js`. The canvas is
+ * transferred to an OffscreenCanvas, so simulation and drawing never compete with
+ * scrolling or input handlers here. Setters become messages; anything that returns
+ * data (`getSnapshot`, `toBlob`) returns a Promise. Field events are re-dispatched here.
+ */
+export class WorkerDotField extends EventTarget {
+  /** @type {HTMLCanvasElement} */
+  #canvas;
+  /** @type {Worker} */
+  #worker;
+  #nextRequestId = 1;
+  /** @type {Map<number, { resolve: (value: any) => void; reject: (reason: Error) => void }>} */
+  #pending = new Map();
+  /** @type {string | null} why the worker stopped answering, once it has */
+  #failure = null;
+  /** @type {Set<{ shapes: Region[] }>} */
+  #excludedGroups = new Set();
+  /** @type {Set<{ shapes: Region[] }>} */
+  #haloGroups = new Set();
+
+  /** @param {HTMLCanvasElement} canvas */
+  static isSupported(canvas) {
+    return typeof Worker === 'function' && typeof canvas.transferControlToOffscreen === 'function' && supportsModuleWorkers();
+  }
+
+  /**
+   * Throws, leaving the canvas untouched, if the browser refuses to start a module worker.
+   * @param {HTMLCanvasElement} canvas
+   * @param {Options} options
+   */
+  constructor(canvas, options) {
+    super();
+    this.#canvas = canvas;
+    // Before the canvas is transferred: some browsers know the module option but throw on it.
+    this.#worker = new Worker(new URL('./dotFieldWorker.js?v=2025-12-13-16', import.meta.url), { type: 'module' });
+    this.#worker.addEventListener('message', (event) => this.#onMessage(event.data));
+    this.#worker.addEventListener('error', (event) => this.#fail(event.message || 'Dot field worker failed'));
+    this.#worker.addEventListener('messageerror', () => this.#fail('Dot field worker sent an unreadable message'));
+    this.#applyBackground(options.mode);
+
+    const offscreen = canvas.transferControlToOffscreen();
+    this.#worker.postMessage(
+      {
+        type: 'init',
+        canvas: offscreen,
+        options: {
+          mode: options.mode,
+          reducedMotion: options.reducedMotion,
+          seed: options.seed,
+          viewport: this.#readViewport(),
+        },
+      },
+      [offscreen]
+    );
+
+    window.addEventListener(
+      'resize',
+      () => {
+        const { width, height, dpr } = this.#readViewport();
+        this.#call('resize', width, height, dpr);
+      },
+      { passive: true }
+    );
+    document.addEventListener('visibilitychange', () => this.#call('setHidden', document.hidden));
+  }
+
+  /** @param {number} seed */
+  setSeed(seed) {
+    this.#call('setSeed', seed);
+  }
+
+  /** @param {boolean} reduced */
+  setReducedMotion(reduced) {
+    this.#call('setReducedMotion', reduced);
+  }
+
+  /**
+   * @param {boolean} active
+   * @param {number | null=} item
+   */
+  setNavActive(active, item) {
+    this.#call('setNavActive', active, item);
+  }
+
+  /** @param {Element[]} elements */
+  setNavElements(elements) {
+    this.setNavItems(
+      elements.map((el) => {
+        const { left, top, right, bottom } = el.getBoundingClientRect();
+        return { left, top, right, bottom };
+      })
+    );
+  }
+
+  /** @param {Rect[]} rects */
+  setNavItems(rects) {
+    this.#call('setNavItems', rects);
+  }
+
+  /** @param {string | null} section */
+  setActiveSection(section) {
+    this.#call('setActiveSection', section);
+  }
+
+  /** @param {Anchor | null} anchor */
+  setSectionAnchor(anchor) {
+    this.#call('setSectionAnchor', anchor);
+  }
+
+  /** @param {HTMLElement | null} el */
+  setHotElement(el) {
+    if (!el) {
+      this.setHotRect(null);
+      return;
+    }
+    const { left, top, right, bottom } = el.getBoundingClientRect();
+    this.setHotRect({ left, top, right, bottom });
+  }
+
+  /** @param {Rect | null} rect */
+  setHotRect(rect) {
+    this.#call('setHotRect', rect);
+  }
+
+  /** @param {Anchor[]} anchors */
+  setInteractiveAnchors(anchors) {
+    this.#call('setInteractiveAnchors', anchors);
+  }
+
+  /** @param {PointerState[]} pointers */
+  setPointers(pointers) {
+    this.#call('setPointers', pointers);
+  }
+
+  /** @param {number} scalar */
+  setDensityScalar(scalar) {
+    this.#call('setDensityScalar', scalar);
+  }
+
+  /** @param {number} count */
+  setDotCount(count) {
+    this.#call('setDotCount', count);
+  }
+
+  /**
+   * @param {DensityModel} model
+   * @param {number} value
+   */
+  setDensity(model, value) {
+    this.#call('setDensity', model, value);
+  }
+
+  /**
+   * @param {DensityModel} model
+   * @returns {Promise<number>}
+   */
+  setDensityModel(model) {
+    return this.#request('setDensityModel', model);
+  }
+
+  /** @param {number} cssPx */
+  setMinRadius(cssPx) {
+    this.#call('setMinRadius', cssPx);
+  }
+
+  /** @param {number} cssPx */
+  setMaxRadius(cssPx) {
+    this.#call('setMaxRadius', cssPx);
+  }
+
+  /** @param {number} count */
+  setSizeCount(count) {
+    this.#call('setSizeCount', count);
+  }
+
+  /** @param {number | string | number[] | ContinuousDistribution} mode */
+  setDistribution(mode) {
+    this.#call('setDistribution', mode);
+  }
+
+  /** @param {SizeSpacing} spacing */
+  setSizeSpacing(spacing) {
+    this.#call('setSizeSpacing', spacing);
+  }
+
+  /** @param {SpawnStrategy} strategy */
+  setSpawnStrategy(strategy) {
+    this.#call('setSpawnStrategy', strategy);
+  }
+
+  /** @param {boolean} enabled */
+  setAutoFitDensity(enabled) {
+    this.#call('setAutoFitDensity', enabled);
+  }
+
+  /**
+   * @param {TransitionParams} params
+   * @param {{ durationMs?: number }=} options
+   */
+  transitionTo(params, options) {
+    this.#call('transitionTo', params, options);
+  }
+
+  /** @param {boolean} enabled */
+  setReactToUi(enabled) {
+    this.#call('setReactToUi', enabled);
+  }
+
+  /**
+   * @param {PointerMode} mode
+   * @param {PointerOptions=} options
+   */
+  setPointerMode(mode, options) {
+    this.#call('setPointerMode', mode, options);
+  }
+
+  /** @param {number} speed */
+  setSpeed(speed) {
+    this.#call('setSpeed', speed);
+  }
+
+  /** @param {boolean} enabled */
+  setBreathingEnabled(enabled) {
+    this.#call('setBreathingEnabled', enabled);
+  }
+
+  /** @param {boolean} enabled */
+  setGridEnabled(enabled) {
+    this.#call('setGridEnabled', enabled);
+  }
+
+  /** @param {GridLayout} layout */
+  setGridLayout(layout) {
+    this.#call('setGridLayout', layout);
+  }
+
+  /** @param {GridAssignment} mode */
+  setGridAssignment(mode) {
+    this.#call('setGridAssignment', mode);
+  }
+
+  /** @param {GridArrangement} arrangement */
+  setGridArrangement(arrangement) {
+    this.#call('setGridArrangement', arrangement);
+  }
+
+  /**
+   * @param {GridStagger} stagger
+   * @param {number=} spreadMs
+   */
+  setGridStagger(stagger, spreadMs) {
+    this.#call('setGridStagger', stagger, spreadMs);
+  }
+
+  /** @param {boolean} enabled */
+  setGravityEnabled(enabled) {
+    this.#call('setGravityEnabled', enabled);
+  }
+
+  /** @param {{ activeMs?: number; dropMs?: number; settleDelayMs?: number; settleBoostMs?: number; maskDelayMs?: number; maskMs?: number }=} options */
+  dropToBottom(options) {
+    this.#call('dropToBottom', options);
+  }
+
+  /** @param {number} cssPx */
+  setTopExclusion(cssPx) {
+    this.#call('setTopExclusion', cssPx);
+  }
+
+  /** @param {Rect[]} rects */
+  setExclusionRects(rects) {
+    this.#call('setExclusionRects', rects);
+  }
+
+  /** @param {Region[]} regions */
+  setExclusionShapes(regions) {
+    this.#call('setExclusionShapes', regions);
+  }
+
+  /**
+   * Elements are measured here on the main thread; only their shapes cross to the worker.
+   * @param {Element[]} elements
+   * @param {ExcludeOptions=} options
+   * @returns {() => void}
+   */
+  excludeElements(elements, { padding = 0, shape = 'rect' } = {}) {
+    return trackGroup(this.#excludedGroups, elements, { padding, shape }, (shapes) => this.setTrackedExclusions(shapes));
+  }
+
+  /** @param {(Rect | Region)[]} regions */
+  setTrackedExclusions(regions) {
+    this.#call('setTrackedExclusions', regions);
+  }
+
+  /**
+   * Measured here like {@link excludeElements}; only the shapes cross to the worker.
+   * @param {Element[]} elements
+   * @param {ExcludeOptions=} options
+   * @returns {() => void}
+   */
+  haloElements(elements, { padding = 0, shape = 'rect' } = {}) {
+    return trackGroup(this.#haloGroups, elements, { padding, shape }, (shapes) => this.setHalos(shapes));
+  }
+
+  /** @param {(Rect | Region)[]} regions */
+  setHalos(regions) {
+    this.#call('setHalos', regions);
+  }
+
+  /** @param {HaloOptions} options */
+  setHaloOptions(options) {
+    this.#call('setHaloOptions', options);
+  }
+
+  /**
+   * Images are read and functions sampled here; the worker gets ImageData or a grid.
+   * @param {DensityMapSource | CanvasImageSource | null} source
+   * @param {DensityMapOptions=} options
+   */
+  setDensityMap(source, options) {
+    const map = readDensitySource(source, () => this.setDensityMap(source, options));
+    if (map === undefined) return;
+    this.#call('setDensityMap', typeof map === 'function' ? sampleDensityMap(map) : map, options);
+  }
+
+  /**
+   * Functions can't be posted to the worker, so here a force has to be a module: the worker
+   * imports it and registers its default export (and its `prepare` export, if any). A function
+   * or a `prepare` option rejects. Resolves once the force is active.
+   * @param {string} id
+   * @param {ForceSource} force `{ module }`, resolved against the document
+   * @param {Omit<ForceOptions, 'prepare'>=} options
+   * @returns {Promise<void>}
+   */
+  addForce(id, force, options) {
+    if (typeof force === 'function' || typeof options?.prepare === 'function') {
+      return Promise.reject(new TypeError(`Force "${id}": functions can't be sent to the worker; pass { module: url } instead`));
+    }
+    return this.#request('addForce', id, { module: new URL(force.module, document.baseURI).href }, options);
+  }
+
+  /** @param {string} id */
+  removeForce(id) {
+    this.#call('removeForce', id);
+  }
+
+  /**
+   * @param {string} id
+   * @param {boolean} enabled
+   * @param {number=} blendMs
+   */
+  setForceEnabled(id, enabled, blendMs) {
+    this.#call('setForceEnabled', id, enabled, blendMs);
+  }
+
+  /** @returns {Promise<Snapshot>} */
+  getSnapshot() {
+    return this.#request('getSnapshot');
+  }
+
+  /** @param {Snapshot} snapshot */
+  restoreSnapshot(snapshot) {
+    if (snapshot.mode === 'dark' || snapshot.mode === 'light') this.#applyBackground(snapshot.mode);
+    this.#call('restoreSnapshot', snapshot);
+  }
+
+  /** @returns {Promise<Blob | null>} */
+  toBlob() {
+    return this.#request('toBlob');
+  }
+
+  /** @param {Mode} mode */
+  invertWithDispersion(mode) {
+    this.#applyBackground(mode);
+    this.#call('invertWithDispersion', mode);
+  }
+
+  heroIntro() {
+    this.#call('heroIntro');
+  }
+
+  /** @param {number} durationMs */
+  disperse(durationMs) {
+    this.#call('disperse', durationMs);
+  }
+
+  start() {
+    this.#call('start');
+  }
+
+  pause() {
+    this.#call('pause');
+  }
+
+  resume() {
+    this.#call('resume');
+  }
+
+  restart() {
+    this.#call('restart');
+  }
+
+  /** @param {number=} count */
+  step(count) {
+    this.#call('step', count);
+  }
+
+  stop() {
+    this.#call('stop');
+  }
+
+  /** @returns {import('./dotField.js').Viewport} */
+  #readViewport() {
+    const { innerWidth, innerHeight, devicePixelRatio } = window;
+    return { width: innerWidth, height: innerHeight, dpr: devicePixelRatio };
+  }
+
+  // The worker fills every frame itself; this only covers the gap before its first draw.
+  /** @param {Mode} mode */
+  #applyBackground(mode) {
+    this.#canvas.style.background = mode === 'light' ? '#fff' : '#000';
+  }
+
+  /**
+   * @param {string} method
+   * @param {...any} args
+   */
+  #call(method, ...args) {
+    this.#worker.postMessage({ type: 'call', method, args });
+  }
+
+  /**
+   * @param {string} method
+   * @param {...any} args
+   */
+  #request(method, ...args) {
+    if (this.#failure) return Promise.reject(new Error(this.#failure));
+    const id = this.#nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.#pending.set(id, { resolve, reject });
+      this.#worker.postMessage({ type: 'request', id, method, args });
+    });
+  }
+
+  /** @param {any} msg */
+  #onMessage(msg) {
+    if (msg.type === 'event') {
+      this.dispatchEvent(new CustomEvent(msg.name, { detail: msg.detail }));
+      return;
+    }
+    if (msg.type === 'response') {
+      const pending = this.#pending.get(msg.id);
+      if (!pending) return;
+      this.#pending.delete(msg.id);
+      if (msg.error) pending.reject(new Error(msg.error));
+      else pending.resolve(msg.result);
+      return;
+    }
+    if (msg.type === 'error') {
+      // A failed init leaves nothing to answer requests; a failed call only fails itself.
+      if (msg.method) this.dispatchEvent(new CustomEvent('error', { detail: { message: msg.message, method: msg.method } }));
+      else this.#fail(msg.message);
+    }
+  }
+
+  /**
+   * The worker failed to load, threw or can't be understood: settles every pending request
+   * and any made from now on, and reports it once as an `error` event.
+   * @param {string} message
+   */
+  #fail(message) {
+    if (this.#failure) return;
+    this.#failure = message;
+    for (const pending of this.#pending.values()) pending.reject(new Error(message));
+    this.#pending.clear();
+    this.dispatchEvent(new CustomEvent('error', { detail: { message, method: null } }));
+  }
+}